@@ -1,26 +1,79 @@
 /* eslint-disable unicorn/no-null */
 import replaceExtension from 'replace-ext';
-import { Transform } from 'streamx';
+import { Readable, Transform } from 'streamx';
 import applySourceMap from 'vinyl-sourcemaps-apply';
 import {
 	initAsyncCompiler,
 	initCompiler,
+	info,
 	Compiler,
 	AsyncCompiler,
+	Logger,
+	CalculationInterpolation,
+	CalculationOperation,
+	SassCalculation,
+	SassColor,
+	SassFunction,
+	SassList,
+	SassMap,
+	SassMixin,
+	SassNumber,
+	SassString,
+	sassFalse,
+	sassNull,
+	sassTrue,
 } from 'sass-embedded';
 import PluginError from 'plugin-error';
+import Vinyl from 'vinyl';
+import picomatch from 'picomatch';
+import { globSync } from 'tinyglobby';
+import { parse as parseYaml } from 'yaml';
 
-import { pathToFileURL } from 'node:url';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
 
 const PLUGIN_NAME = 'gulp-sass-embedded';
 
+// The version of the Sass compiler, as reported by sass-embedded.
+const SASS_VERSION = info.split('\t')[1];
+
+/**
+ * Gets the Sass syntax of a file from its extension.
+ * @param {string} extname - The file extension.
+ * @returns {string} - The syntax: `indented`, `css` or `scss`.
+ */
+const getFileSyntax = (extname) => {
+	switch (extname) {
+		case '.sass': {
+			return 'indented';
+		}
+		case '.css': {
+			return 'css';
+		}
+		default: {
+			return 'scss';
+		}
+	}
+};
+
 /**
  * Constructs the arguments needed to compile a Sass file.
  * @param {Vinyl} file - The Vinyl file object representing the Sass file.
  * @param {object} options - Options to customize Sass compilation.
+ * @param {object} [additionalData] - Sass to inject around the contents.
+ * @param {string} [additionalData.prepend] - Sass to inject before the
+ * contents, ending with a newline.
+ * @param {string} [additionalData.append] - Sass to inject after the
+ * contents, starting with a newline.
  * @returns {Array} - An array with the Sass code string and options.
  */
-export const createCompileArguments = (file, options = {}) => {
+export const createCompileArguments = (
+	file,
+	options = {},
+	{ prepend = '', append = '' } = {},
+) => {
 	const {
 		path = '',
 		extname = '',
@@ -29,31 +82,16 @@ export const createCompileArguments = (file, options = {}) => {
 		sourceMap = false,
 	} = file || {};
 	const { loadPaths = [] } = options;
-	let fileSyntax;
-
-	switch (extname) {
-		case '.sass': {
-			fileSyntax = 'indented';
-			break;
-		}
-		case '.css': {
-			fileSyntax = 'css';
-			break;
-		}
-		default: {
-			fileSyntax = 'scss';
-			break;
-		}
-	}
 
 	return [
-		contents.toString(),
+		`${prepend}${contents.toString()}${append}`,
 		{
 			...options,
 			url: pathToFileURL(path),
 			sourceMap: Boolean(sourceMap),
-			sourceMapIncludeSources: Boolean(sourceMap),
-			syntax: fileSyntax,
+			sourceMapIncludeSources:
+				Boolean(sourceMap) && (options.sourceMapIncludeSources ?? true),
+			syntax: getFileSyntax(extname),
 			// Ensure file's parent directory in the include path.
 			loadPaths: [
 				...new Set(
@@ -66,15 +104,42 @@ export const createCompileArguments = (file, options = {}) => {
 	];
 };
 
-export const formatSassError = (error) => {
+/**
+ * Gets the 1-based line and column a span starts at. When Sass was injected
+ * before the entry's contents, lines of the entry are counted from the start
+ * of its original contents.
+ * @param {object} span - The Sass source span.
+ * @param {object} [injected] - The Sass injected before the entry.
+ * @param {URL} [injected.url] - The URL of the entry.
+ * @param {number} [injected.lineOffset] - The number of injected lines.
+ * @returns {object} - The `line` and `column` of the span.
+ */
+const getSpanPosition = (span, { url, lineOffset = 0 } = {}) => {
+	let line = span.start.line ?? 0;
+	if (lineOffset > 0 && span.url?.href === url?.href && line >= lineOffset) {
+		line -= lineOffset;
+	}
+	return { line: line + 1, column: (span.start.column ?? 0) + 1 };
+};
+
+/**
+ * Adds the properties used to report a Sass error: its 1-based `line` and
+ * `column`, and the original and formatted messages. Errors are only
+ * formatted once.
+ * @param {Error} error - The error thrown by Sass.
+ * @param {object} [injected] - The Sass injected before the entry, to
+ * correct line numbers for.
+ * @returns {Error} - The formatted error.
+ */
+export const formatSassError = (error, injected) => {
 	if (!error) {
 		return new Error('No error message provided');
 	}
+	if (error.messageFormatted !== undefined) {
+		return error;
+	}
 	if (error?.span?.start) {
-		const line = error.span.start.line ?? 0;
-		const column = error.span.start.column ?? 0;
-		error.line = line + 1;
-		error.column = column + 1;
+		Object.assign(error, getSpanPosition(error.span, injected));
 	}
 	error.messageOriginal = error.sassMessage ?? error.message;
 	error.messageFormatted = error.message;
@@ -82,116 +147,3318 @@ export const formatSassError = (error) => {
 	return error;
 };
 
+// Options passed through to the Sass compiler.
+const SASS_OPTIONS = new Set([
+	'alertAscii',
+	'alertColor',
+	'charset',
+	'fatalDeprecations',
+	'functions',
+	'futureDeprecations',
+	'importer',
+	'importers',
+	'loadPaths',
+	'logger',
+	'quietDeps',
+	'silenceDeprecations',
+	'sourceMapIncludeSources',
+	'style',
+	'verbose',
+]);
+
+// Options handled by the plugin itself.
+const PLUGIN_OPTIONS = new Set([
+	'additionalData',
+	'cacheDirectory',
+	'cacheKey',
+	'concurrency',
+	'dataImports',
+	'entries',
+	'failOnDeprecations',
+	'fileOptions',
+	'globImports',
+	'incremental',
+	'maxWarnings',
+	'modules',
+	'onError',
+	'partials',
+	'pool',
+	'postProcess',
+	'renderErrors',
+	'rewriteUrls',
+	'sourceMapPackageUrls',
+	'sourceMapSources',
+	'sourceRoot',
+	'streamImports',
+	'summary',
+	'sync',
+	'timeout',
+	'tokens',
+	'variants',
+]);
+
+// Options of the legacy Sass API and node-sass, converted to modern options.
+const LEGACY_OPTIONS = {
+	includePaths: {
+		replacement: 'loadPaths',
+		convert: (value) => ({ loadPaths: [value].flat() }),
+	},
+	outputStyle: {
+		replacement: 'style',
+		convert: (value) => {
+			if (value === 'nested' || value === 'compact') {
+				const style = value === 'nested' ? 'expanded' : 'compressed';
+				warnOnce(
+					`outputStyle:${value}`,
+					`Output style "${value}" is not supported by Dart Sass, using "${style}" instead.`,
+				);
+				return { style };
+			}
+			return { style: value };
+		},
+	},
+	sourceMapContents: {
+		replacement: 'sourceMapIncludeSources',
+		convert: (value) => ({ sourceMapIncludeSources: Boolean(value) }),
+	},
+	sourceMapRoot: {
+		replacement: 'sourceRoot',
+		convert: (value) => ({ sourceRoot: value }),
+	},
+};
+
+// Options that have no modern equivalent, with advice on what to do instead.
+const UNSUPPORTED_OPTIONS = {
+	data: 'The contents of each Vinyl file are compiled.',
+	fiber: 'It is not needed with sass-embedded.',
+	file: 'The contents of each Vinyl file are compiled.',
+	indentedSyntax: "The syntax is detected from each file's extension.",
+	indentType: 'Dart Sass does not support custom indentation.',
+	indentWidth: 'Dart Sass does not support custom indentation.',
+	linefeed: 'Dart Sass does not support custom line endings.',
+	omitSourceMapUrl:
+		'Use the `sourcemaps` option of `gulp.src()` and `gulp.dest()` instead.',
+	outFile: 'The output path is set from the Vinyl file.',
+	precision: 'Dart Sass always uses 10 digits of precision.',
+	sourceComments: 'Dart Sass does not support source comments.',
+	sourceMap:
+		'Use the `sourcemaps` option of `gulp.src()` and `gulp.dest()` instead.',
+	sourceMapEmbed:
+		'Use the `sourcemaps` option of `gulp.src()` and `gulp.dest()` instead.',
+	syntax: "The syntax is detected from each file's extension.",
+	url: "The URL is set from each file's path.",
+};
+
+const warnedOptions = new Set();
+
 /**
- * Transforms Vinyl file streams by compiling Sass to CSS.
- * @param {object} options - Compilation options for the Sass compiler.
- * @returns {Transform} - A stream transform object for Sass compilation.
+ * Prints a warning about the options, once per process.
+ * @param {string} key - Identifies the warning.
+ * @param {string} message - The warning message.
  */
-const gulpSassEmbedded = (options = {}) => {
-	let compiler;
+const warnOnce = (key, message) => {
+	if (!warnedOptions.has(key)) {
+		warnedOptions.add(key);
+		process.stderr.write(`${PLUGIN_NAME}: ${message}\n`);
+	}
+};
 
-	const transform = new Transform({
-		async open(callback) {
-			try {
-				compiler = options?.sync
-					? initCompiler()
-					: await initAsyncCompiler();
-				callback();
-			} catch (error) {
-				callback(new PluginError(PLUGIN_NAME, error));
-			}
+/**
+ * Counts the single-character edits needed to turn one string into another.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} - The Levenshtein distance.
+ */
+const getEditDistance = (a, b) => {
+	let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+	for (let index = 1; index <= a.length; index++) {
+		const current = [index];
+		for (let column = 1; column <= b.length; column++) {
+			current[column] = Math.min(
+				previous[column] + 1,
+				current[column - 1] + 1,
+				previous[column - 1] + (a[index - 1] === b[column - 1] ? 0 : 1),
+			);
+		}
+		previous = current;
+	}
+	return previous[b.length];
+};
+
+/**
+ * Finds the known option closest to a misspelled option name.
+ * @param {string} key - The unknown option name.
+ * @returns {string|undefined} - The suggested option name, if any is close.
+ */
+const suggestOption = (key) => {
+	// Misspelled legacy options suggest their modern replacement.
+	const candidates = [
+		...[...SASS_OPTIONS, ...PLUGIN_OPTIONS].map((option) => [
+			option,
+			option,
+		]),
+		...Object.entries(LEGACY_OPTIONS).map(([option, { replacement }]) => [
+			option,
+			replacement,
+		]),
+	];
+
+	const [suggestion] = candidates
+		.map(([option, replacement]) => ({
+			replacement,
+			distance: getEditDistance(key.toLowerCase(), option.toLowerCase()),
+		}))
+		.filter((candidate) => candidate.distance <= 3)
+		.sort((a, b) => a.distance - b.distance);
+
+	return suggestion?.replacement;
+};
+
+/**
+ * Converts options written for the original gulp-sass, the legacy Sass API
+ * or node-sass to their sass-embedded equivalents. Warns once about legacy
+ * and unsupported options, and throws on unknown options.
+ * @param {object} options - The options passed to the plugin.
+ * @returns {object} - The normalized options.
+ */
+export const normalizeOptions = (options = {}) => {
+	const normalized = {};
+	const loadPaths = [];
+
+	for (const [key, value] of Object.entries(options)) {
+		let converted;
+
+		if (Object.hasOwn(LEGACY_OPTIONS, key)) {
+			const { replacement, convert } = LEGACY_OPTIONS[key];
+			warnOnce(
+				key,
+				`Option "${key}" is deprecated, use "${replacement}" instead.`,
+			);
+			converted = convert(value);
+		} else if (
+			key === 'importer' &&
+			(typeof value === 'function' || Array.isArray(value))
+		) {
+			warnOnce(
+				key,
+				'Legacy importer functions are not supported, use the "importers" option with modern importers instead.',
+			);
+			continue;
+		} else if (Object.hasOwn(UNSUPPORTED_OPTIONS, key)) {
+			warnOnce(
+				key,
+				`Option "${key}" is not supported and will be ignored. ${UNSUPPORTED_OPTIONS[key]}`,
+			);
+			continue;
+		} else if (SASS_OPTIONS.has(key) || PLUGIN_OPTIONS.has(key)) {
+			converted = { [key]: value };
+		} else {
+			const suggestion = suggestOption(key);
+			throw new PluginError(
+				PLUGIN_NAME,
+				`Unknown option "${key}".${suggestion ? ` Did you mean "${suggestion}"?` : ''}`,
+			);
+		}
+
+		const { loadPaths: convertedLoadPaths, ...rest } = converted;
+		if (convertedLoadPaths !== undefined) {
+			loadPaths.push(...[convertedLoadPaths].flat());
+		}
+		Object.assign(normalized, rest);
+	}
+
+	if (loadPaths.length > 0) {
+		normalized.loadPaths = loadPaths;
+	}
+
+	return normalized;
+};
+
+/**
+ * Gets the Sass options of a file, merging the options returned by the
+ * `fileOptions` callback over the static options. Load paths and importers
+ * from the callback are searched first, and its functions are added to the
+ * static functions.
+ * @param {object} options - The static Sass options.
+ * @param {Function} [fileOptions] - The `fileOptions` callback.
+ * @param {Vinyl} file - The file being compiled.
+ * @returns {Promise<object>} - The Sass options of the file.
+ */
+const resolveFileOptions = async (options, fileOptions, file) => {
+	if (typeof fileOptions !== 'function') {
+		return options;
+	}
+
+	const overrides = normalizeOptions((await fileOptions(file)) ?? {});
+	for (const key of Object.keys(overrides)) {
+		if (PLUGIN_OPTIONS.has(key)) {
+			throw new PluginError(
+				PLUGIN_NAME,
+				`Option "${key}" can't be set per file.`,
+			);
+		}
+	}
+
+	const merged = { ...options, ...overrides };
+	for (const key of ['loadPaths', 'importers']) {
+		if (options[key] && overrides[key]) {
+			merged[key] = [...overrides[key], ...options[key]];
+		}
+	}
+	if (options.functions && overrides.functions) {
+		merged.functions = { ...options.functions, ...overrides.functions };
+	}
+
+	return merged;
+};
+
+/**
+ * Converts a message from the Sass logger into a warning record.
+ * @param {string} type - One of `warning`, `deprecation` or `debug`.
+ * @param {string} message - The message emitted by Sass.
+ * @param {object} options - The options passed to the logger method.
+ * @param {object} [injected] - The Sass injected before the entry, to
+ * correct line numbers for.
+ * @returns {object} - The warning record.
+ */
+const createSassWarning = (type, message, options = {}, injected) => {
+	const { deprecationType, span, stack } = options;
+	const url = span?.url;
+	const position = span && getSpanPosition(span, injected);
+
+	return {
+		type,
+		message,
+		deprecationId: deprecationType?.id,
+		file: url?.protocol === 'file:' ? fileURLToPath(url) : url?.href,
+		line: position?.line,
+		column: position?.column,
+		span,
+		stack,
+	};
+};
+
+/**
+ * Formats a warning record for printing to the console.
+ * @param {object} warning - The warning record.
+ * @returns {string} - The formatted warning.
+ */
+const formatSassWarning = ({
+	type,
+	message,
+	deprecationId,
+	file,
+	line,
+	column,
+}) => {
+	const label = {
+		warning: 'Warning',
+		deprecation: `Deprecation Warning${deprecationId ? ` [${deprecationId}]` : ''}`,
+		debug: 'Debug',
+	}[type];
+	const location = file ? `\n    ${file}:${line}:${column}` : '';
+
+	return `${PLUGIN_NAME}: ${label}: ${message}${location}\n`;
+};
+
+/**
+ * Creates a Sass logger that records warnings and debug messages, then
+ * forwards them to the user's logger or prints them to stderr.
+ * @param {object[]} warnings - The array to collect warning records in.
+ * @param {object} [logger] - The `logger` option passed to the plugin.
+ * @param {object} [injected] - The Sass injected before the entry, to
+ * correct line numbers for.
+ * @returns {object} - A Sass logger.
+ */
+const createSassLogger = (warnings, logger, injected) => {
+	const log = (method, warning, message, options) => {
+		warnings.push(warning);
+		if (logger) {
+			logger[method]?.(message, options);
+		} else {
+			process.stderr.write(formatSassWarning(warning));
+		}
+	};
+
+	return {
+		warn(message, options) {
+			const type = options?.deprecation ? 'deprecation' : 'warning';
+			log(
+				'warn',
+				createSassWarning(type, message, options, injected),
+				message,
+				options,
+			);
 		},
-		async transform(file, callback) {
-			try {
-				if (file.isNull()) {
-					callback(null, file);
-					return;
-				}
+		debug(message, options) {
+			log(
+				'debug',
+				createSassWarning('debug', message, options, injected),
+				message,
+				options,
+			);
+		},
+	};
+};
 
-				if (file.isStream()) {
-					callback(
-						new PluginError(
-							PLUGIN_NAME,
-							'Streams are not supported!',
-						),
-					);
-					return;
-				}
+/**
+ * Throws if a file's warnings break the `maxWarnings` or
+ * `failOnDeprecations` options.
+ * @param {object[]} warnings - The warning records of the file.
+ * @param {number} warningCount - The number of warnings in the stream so far.
+ * @param {object} options - The plugin options.
+ */
+const assertWarnings = (warnings, warningCount, options) => {
+	const { maxWarnings, failOnDeprecations } = options;
 
-				// Skip partials.
-				if (file.basename.startsWith('_')) {
-					callback();
-					return;
-				}
+	const deprecation = warnings.find(
+		({ type, deprecationId }) =>
+			type === 'deprecation' &&
+			(failOnDeprecations === true ||
+				(Array.isArray(failOnDeprecations) &&
+					failOnDeprecations.includes(deprecationId))),
+	);
+	if (deprecation) {
+		throw new Error(
+			`Deprecation [${deprecation.deprecationId}] is not allowed: ${deprecation.message}`,
+		);
+	}
 
-				if (file.contents.length === 0) {
-					file.path = replaceExtension(file.path, '.css');
-					callback(null, file);
-					return;
-				}
+	if (typeof maxWarnings === 'number' && warningCount > maxWarnings) {
+		throw new Error(
+			`Too many Sass warnings: ${warningCount} (maximum ${maxWarnings}).`,
+		);
+	}
+};
+
+/**
+ * Logs a compile error without failing the stream. Pass it as the `onError`
+ * option to replace the failing file with nothing.
+ * @param {PluginError} error - The formatted compile error.
+ */
+export const logError = (error) => {
+	const message = new PluginError(
+		PLUGIN_NAME,
+		error?.messageFormatted ?? error?.message ?? String(error),
+	).toString();
+	process.stderr.write(`${message}\n`);
+};
 
-				const compileArguments = createCompileArguments(file, options);
+/**
+ * Formats a number of bytes for the build summary.
+ * @param {number} bytes - The number of bytes.
+ * @returns {string} - The size in bytes or kilobytes.
+ */
+const formatBytes = (bytes) =>
+	bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} kB`;
 
-				// Use the async/sync compile command.
-				const { css, sourceMap } = options?.sync
-					? compiler.compileString(...compileArguments)
-					: await compiler.compileStringAsync(...compileArguments);
+/**
+ * Creates the summary of a build from the records of its entries.
+ * @param {object[]} entries - A record of each output, or failing entry.
+ * @param {object} totals - The totals not counted from the entries.
+ * @param {number} totals.partials - The number of partials dropped from the
+ * stream.
+ * @param {number} totals.passed - The number of partials passed through.
+ * @param {number} totals.warnings - The number of warnings reported.
+ * @param {number} totals.duration - The duration of the build, in
+ * milliseconds.
+ * @returns {object} - The summary, which can be serialized as JSON.
+ */
+const createBuildSummary = (
+	entries,
+	{ partials, passed, warnings, duration },
+) => {
+	// Entries compiled into several variants have a record per output.
+	const count = (...statuses) =>
+		new Set(
+			entries
+				.filter(({ status }) => statuses.includes(status))
+				.map(({ path: entryPath }) => entryPath),
+		).size;
 
-				file.contents = Buffer.from(css);
-				file.path = replaceExtension(file.path, '.css');
-				if (file.stat) {
-					file.stat.atime =
-						file.stat.mtime =
-						file.stat.ctime =
-							new Date();
-				}
+	return {
+		files: {
+			compiled: count('compiled', 'cached'),
+			cached: count('cached'),
+			empty: count('empty'),
+			failed: count('failed'),
+			outputs: entries.filter(({ output }) => output !== undefined)
+				.length,
+			partials,
+			passed,
+		},
+		warnings,
+		outputBytes: entries.reduce(
+			(total, { outputBytes }) => total + outputBytes,
+			0,
+		),
+		duration,
+		entries,
+	};
+};
+
+/**
+ * Formats a build summary for printing to the console, listing the entries
+ * from the slowest to compile.
+ * @param {object} summary - The build summary.
+ * @returns {string} - The formatted summary.
+ */
+const formatBuildSummary = ({
+	files,
+	warnings,
+	outputBytes,
+	duration,
+	entries,
+}) => {
+	const totals = [
+		`${files.compiled} compiled${files.cached > 0 ? ` (${files.cached} cached)` : ''}`,
+		// Only differs when entries have several variants.
+		...(files.outputs === files.compiled + files.empty
+			? []
+			: [`${files.outputs} outputs`]),
+		`${files.partials} partials skipped`,
+		...(files.passed > 0
+			? [`${files.passed} partials passed through`]
+			: []),
+		`${files.empty} empty`,
+		`${files.failed} failed`,
+		`${warnings} warnings`,
+		formatBytes(outputBytes),
+	].join(', ');
+	const lines = [...entries]
+		.sort((a, b) => b.duration - a.duration)
+		.map(({ path: entryPath, output, status, duration, outputBytes }) =>
+			[
+				`${Math.round(duration)} ms`.padStart(9),
+				status.padEnd(8),
+				output ?? entryPath,
+				status === 'failed' ? '' : formatBytes(outputBytes),
+			]
+				.join('  ')
+				.trimEnd(),
+		);
+
+	return `${PLUGIN_NAME}: ${totals} in ${Math.round(duration)} ms\n${lines.map((line) => `${line}\n`).join('')}`;
+};
+
+// Matches the ANSI escape codes that color Sass's error messages.
+// eslint-disable-next-line no-control-regex
+const ANSI_PATTERN = /\u001B\[[\d;]*m/g;
+
+/**
+ * Quotes a string for the `content` property of a CSS rule, escaping
+ * characters that can't appear in a CSS string and non-ASCII characters.
+ * @param {string} value - The string to quote.
+ * @returns {string} - The quoted CSS string.
+ */
+const quoteCssString = (value) =>
+	`"${value.replaceAll(/["\\]|[^\u0020-\u007E]/gu, (character) =>
+		character === '"' || character === '\\'
+			? `\\${character}`
+			: `\\${character.codePointAt(0).toString(16)} `,
+	)}"`;
+
+/**
+ * Creates a stylesheet that displays a compile error at the top of the page,
+ * for use during development with live reloading.
+ * @param {Error} error - The error, as formatted by `formatSassError`.
+ * @param {string} filePath - The path of the entry that failed to compile.
+ * @returns {string} - The CSS showing the error.
+ */
+const createErrorCss = (error, filePath) => {
+	const { url } = error.span ?? {};
+	const location = [
+		url?.protocol === 'file:' ? fileURLToPath(url) : (url ?? filePath),
+		error.line,
+		error.column,
+	]
+		.filter((part) => part !== undefined)
+		.join(':');
+	const message = (error.messageFormatted ?? error.message).replaceAll(
+		ANSI_PATTERN,
+		'',
+	);
+
+	return [
+		'body::before {',
+		`\tcontent: ${quoteCssString(`${location}\n\n${message}`)};`,
+		'\tdisplay: block;',
+		'\tposition: relative;',
+		'\tz-index: 2147483647;',
+		'\tpadding: 1em;',
+		'\tborder-bottom: 4px solid #c00;',
+		'\tbackground: #fee;',
+		'\tcolor: #000;',
+		'\tfont: 14px/1.5 monospace;',
+		'\twhite-space: pre-wrap;',
+		'}',
+		'',
+	].join('\n');
+};
+
+// Matches load URLs that contain glob patterns.
+const GLOB_PATTERN = /[*?[{]/;
 
-				if (sourceMap != undefined) {
-					sourceMap.file ??= file.path;
-					applySourceMap(file, sourceMap);
+// The extensions of files that glob patterns can load.
+const STYLESHEET_EXTENSIONS = new Set(['.scss', '.sass', '.css']);
+
+// The scheme of the canonical URLs of glob patterns.
+const GLOB_SCHEME = 'sass-glob:';
+
+/**
+ * Finds the stylesheets matching a glob pattern, relative to the importing
+ * file, then to each load path, in alphabetical order, skipping the importing
+ * file.
+ * @param {string} pattern - The glob pattern.
+ * @param {string} containingPath - The path of the importing file, if any.
+ * @param {string[]} loadPaths - Directories to resolve the pattern against
+ * after the importing file's directory.
+ * @returns {string[]} - The paths of the matched stylesheets.
+ */
+const expandGlob = (pattern, containingPath, loadPaths) => {
+	const bases = [
+		...new Set([
+			...(containingPath ? [path.dirname(containingPath)] : []),
+			...loadPaths,
+		]),
+	];
+	const files = bases.flatMap((base) =>
+		globSync(pattern, { cwd: base, absolute: true, onlyFiles: true }),
+	);
+
+	return [...new Set(files.map((file) => path.normalize(file)))]
+		.filter(
+			(file) =>
+				file !== containingPath &&
+				STYLESHEET_EXTENSIONS.has(path.extname(file)),
+		)
+		.sort();
+};
+
+/**
+ * Finds the stylesheets a canonical glob URL currently matches.
+ * @param {URL} canonicalUrl - The canonical `sass-glob:` URL.
+ * @returns {string[]} - The paths of the matched stylesheets.
+ */
+const expandGlobUrl = (canonicalUrl) =>
+	expandGlob(
+		decodeURIComponent(canonicalUrl.pathname),
+		canonicalUrl.searchParams.get('from'),
+		canonicalUrl.searchParams.getAll('load-path'),
+	);
+
+/**
+ * Creates an importer that expands glob patterns in `@use`, `@forward` and
+ * `@import` rules, such as `@use 'components/**'`. Patterns are resolved
+ * relative to the importing file, then to each load path, and the matched
+ * stylesheets are loaded in alphabetical order, skipping the importing file.
+ * Matches are loaded by their `file:` URL, which Sass only resolves when the
+ * compilation has at least one load path, as the plugin's always do.
+ * @param {object} [options] - Importer options.
+ * @param {string[]} [options.loadPaths] - Directories to resolve patterns
+ * against after the importing file's directory.
+ * @param {boolean} [options.forward] - Whether a pattern loaded by `@use` or
+ * `@forward` forwards the members of the matched stylesheets. Otherwise only
+ * their CSS is included, so matches may define members with the same name.
+ * @returns {object} - A Sass importer.
+ */
+export const createGlobImporter = ({
+	loadPaths = [],
+	forward = false,
+} = {}) => ({
+	canonicalize(url, { containingUrl, fromImport }) {
+		if (!GLOB_PATTERN.test(url)) {
+			return null;
+		}
+
+		const containingPath =
+			containingUrl?.protocol === 'file:'
+				? fileURLToPath(containingUrl)
+				: '';
+		if (expandGlob(url, containingPath, loadPaths).length === 0) {
+			return null;
+		}
+
+		// The URL holds everything needed to expand the pattern again, such
+		// as for the dependency graph to find new matches.
+		const parameters = new URLSearchParams({
+			from: containingPath,
+			import: String(fromImport),
+		});
+		for (const loadPath of loadPaths) {
+			parameters.append('load-path', loadPath);
+		}
+		return new URL(
+			`${GLOB_SCHEME}${encodeURIComponent(url)}?${parameters}`,
+		);
+	},
+
+	load(canonicalUrl) {
+		const fromImport = canonicalUrl.searchParams.get('import') === 'true';
+
+		const contents = expandGlobUrl(canonicalUrl)
+			.map((file, index) => {
+				const { href } = pathToFileURL(file);
+				// Importing a URL ending in .css would be left as a plain
+				// CSS import, so let Sass find the extension.
+				if (fromImport) {
+					return `@import '${href.replace(/\.css$/, '')}';`;
 				}
+				// Matches with the same file name need their own namespace.
+				return forward
+					? `@forward '${href}';`
+					: `@use '${href}' as glob-${index};`;
+			})
+			.join('\n');
 
-				callback(null, file);
-			} catch (error) {
-				callback(
-					new PluginError(PLUGIN_NAME, formatSassError(error), {
-						showProperties: false,
-					}),
+		return { contents, syntax: 'scss' };
+	},
+});
+
+/**
+ * Finds the stylesheet a load URL's path refers to, following Sass's rules
+ * for optional extensions, partials, import-only files and index files.
+ * @param {string} filePath - The absolute path from the load URL.
+ * @param {Function} exists - Returns whether a path is a readable file.
+ * @param {boolean} [fromImport] - Whether the load is from an `@import`.
+ * @returns {string|undefined} - The path of the stylesheet, if found.
+ */
+const resolveStylesheet = (filePath, exists, fromImport = false) => {
+	const directory = path.dirname(filePath);
+	const basename = path.basename(filePath);
+	const withPartials = (names) =>
+		names.flatMap((name) => [
+			path.join(directory, name),
+			path.join(directory, `_${name}`),
+		]);
+
+	const candidates = STYLESHEET_EXTENSIONS.has(path.extname(filePath))
+		? [withPartials([basename])]
+		: [
+				...(fromImport
+					? [
+							withPartials([
+								`${basename}.import.sass`,
+								`${basename}.import.scss`,
+							]),
+							withPartials([`${basename}.import.css`]),
+						]
+					: []),
+				withPartials([`${basename}.sass`, `${basename}.scss`]),
+				withPartials([`${basename}.css`]),
+				['index.sass', 'index.scss', '_index.sass', '_index.scss'].map(
+					(name) => path.join(filePath, name),
+				),
+				['index.css', '_index.css'].map((name) =>
+					path.join(filePath, name),
+				),
+			];
+
+	for (const group of candidates) {
+		const found = group.find((candidate) => exists(candidate));
+		if (found) {
+			return found;
+		}
+	}
+};
+
+/**
+ * A file importer resolving relative loads against the stylesheet that loads
+ * them, so that Sass finds them on disk by its own rules even when that
+ * stylesheet came from another importer, such as the stream importer.
+ */
+const relativeFileImporter = {
+	findFileUrl(url, { containingUrl }) {
+		return containingUrl?.protocol === 'file:' &&
+			!/^[a-z][\d+.a-z-]*:/i.test(url)
+			? new URL(url, containingUrl)
+			: null;
+	},
+};
+
+/**
+ * Creates an importer that loads stylesheets from the files that have passed
+ * through the stream. Relative loads are resolved against the importing file,
+ * then against each load path, so partials that are generated or modified in
+ * the stream take precedence over their copies on disk. Loads that don't
+ * match a file in the stream are left to Sass, which reads them from disk.
+ * Stylesheets keep their `file:` URLs.
+ * @param {Map<string, Buffer>} files - The contents of the stream's files,
+ * keyed by their absolute path.
+ * @param {object} [options] - Importer options.
+ * @param {string[]} [options.loadPaths] - Directories to resolve relative
+ * loads against.
+ * @returns {object} - A Sass importer.
+ */
+export const createStreamImporter = (files, { loadPaths = [] } = {}) => {
+	const exists = (filePath) => files.has(filePath);
+
+	return {
+		canonicalize(url, { fromImport } = {}) {
+			let bases;
+			if (url.startsWith('file:')) {
+				bases = [fileURLToPath(url)];
+			} else if (/^[a-z][\d+.a-z-]*:/i.test(url)) {
+				return null;
+			} else {
+				bases = loadPaths.map((loadPath) =>
+					path.resolve(loadPath, url),
 				);
 			}
-		},
-		async destroy(callback) {
-			// Dispose the compiler when all files have been processed.
-			try {
-				if (compiler) {
-					await compiler.dispose();
+
+			for (const base of bases) {
+				const found = resolveStylesheet(base, exists, fromImport);
+				if (found) {
+					return pathToFileURL(found);
 				}
-				callback();
-			} catch (error) {
-				// Emit an error event instead of calling the callback with an error
-				this.emit(
-					'error',
-					new PluginError(PLUGIN_NAME, error, {
-						showProperties: false,
-					}),
+			}
+			return null;
+		},
+
+		load(canonicalUrl) {
+			const filePath = fileURLToPath(canonicalUrl);
+			const contents = files.get(filePath);
+			if (!contents) {
+				return null;
+			}
+			return {
+				contents: contents.toString(),
+				syntax: getFileSyntax(path.extname(filePath)),
+			};
+		},
+	};
+};
+
+// The scheme of the URLs of the modules defined by the `modules` option.
+const MODULE_SCHEME = 'gulp:';
+
+// Strings that are written to modules as colors, numbers or keywords, not
+// quoted.
+const IDENTIFIER_PATTERN = /^(?:--|-?[_a-z])[\w-]*$/i;
+// Identifiers that Sass reads as other values or operators.
+const SASS_KEYWORDS = new Set(['true', 'false', 'null', 'and', 'or', 'not']);
+const HEX_COLOR_PATTERN = /^#(?:[\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i;
+const COLOR_FUNCTION_PATTERN =
+	/^(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^();]*\)$/i;
+const NUMBER_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?(?:%|[a-z]+)?$/i;
+
+/**
+ * Converts a JavaScript value to a Sass expression. Strings that are colors
+ * or numbers with units become colors and numbers, CSS identifiers such as
+ * `bold` or `red` are left unquoted, other strings are quoted, arrays become
+ * lists and objects become maps.
+ * @param {*} value - The value to convert.
+ * @returns {string} - The Sass expression.
+ */
+const toSassValue = (value) => {
+	if (value === null || value === undefined) {
+		return 'null';
+	}
+
+	switch (typeof value) {
+		case 'boolean': {
+			return String(value);
+		}
+		case 'number': {
+			if (Number.isFinite(value)) {
+				return String(value);
+			}
+			break;
+		}
+		case 'string': {
+			return HEX_COLOR_PATTERN.test(value) ||
+				COLOR_FUNCTION_PATTERN.test(value) ||
+				NUMBER_PATTERN.test(value) ||
+				(IDENTIFIER_PATTERN.test(value) &&
+					!SASS_KEYWORDS.has(value.toLowerCase()))
+				? value
+				: quoteCssString(value);
+		}
+		case 'object': {
+			if (Array.isArray(value)) {
+				// A trailing comma keeps a single value a list.
+				const items = value.map((item) => toSassValue(item));
+				return `(${items.join(', ')}${items.length === 1 ? ',' : ''})`;
+			}
+			const entries = Object.entries(value).map(
+				([key, item]) => `${quoteCssString(key)}: ${toSassValue(item)}`,
+			);
+			return `(${entries.join(', ')})`;
+		}
+	}
+
+	throw new PluginError(
+		PLUGIN_NAME,
+		`Can't convert ${String(value)} to a Sass value.`,
+	);
+};
+
+/**
+ * Writes the Sass source of a module defined by the `modules` option.
+ * @param {string} name - The name of the module.
+ * @param {object} variables - The values of the module's variables.
+ * @returns {string} - The module's Sass source.
+ */
+const createModuleSource = (name, variables) => {
+	if (typeof variables !== 'object' || variables === null) {
+		throw new PluginError(
+			PLUGIN_NAME,
+			`Module "${name}" must be an object of variables.`,
+		);
+	}
+
+	return Object.entries(variables)
+		.map(([variable, value]) => {
+			if (!/^[a-z][\w-]*$/i.test(variable)) {
+				throw new PluginError(
+					PLUGIN_NAME,
+					`"${variable}" in module "${name}" is not a valid Sass variable name.`,
 				);
-				callback();
 			}
+			return `$${variable}: ${toSassValue(value)};`;
+		})
+		.join('\n');
+};
+
+/**
+ * Creates an importer that loads the modules defined by the `modules` option:
+ * each property becomes a module, loaded as `gulp:<name>`, whose variables are
+ * the properties of its value.
+ * @param {object} modules - The values of each module's variables, keyed by
+ * the module's name.
+ * @returns {object} - A Sass importer.
+ */
+export const createModuleImporter = (modules) => {
+	const sources = new Map(
+		Object.entries(modules).map(([name, variables]) => [
+			name,
+			createModuleSource(name, variables),
+		]),
+	);
+
+	return {
+		canonicalize(url) {
+			if (!url.startsWith(MODULE_SCHEME)) {
+				return null;
+			}
+			const name = url.slice(MODULE_SCHEME.length);
+			return sources.has(name) ? new URL(url) : null;
 		},
-	});
 
-	transform.isCompilerInitialized = () => {
-		return options?.sync
-			? compiler instanceof Compiler
-			: compiler instanceof AsyncCompiler;
+		load(canonicalUrl) {
+			return {
+				contents: sources.get(canonicalUrl.pathname),
+				syntax: 'scss',
+			};
+		},
 	};
+};
 
-	return transform;
+// The parsers of the data files that can be loaded as modules.
+const DATA_PARSERS = {
+	'.json': JSON.parse,
+	'.yaml': parseYaml,
+	'.yml': parseYaml,
 };
 
+/**
+ * Creates an importer that loads JSON and YAML files as modules, such as
+ * `@use 'tokens.json'`. The properties of the file's top-level object become
+ * the module's variables, converted as for the `modules` option. Files are
+ * resolved relative to the importing file, then to each load path.
+ * @param {object} [options] - Importer options.
+ * @param {string[]} [options.loadPaths] - Directories to resolve data files
+ * against after the importing file's directory.
+ * @returns {object} - A Sass importer.
+ */
+export const createDataImporter = ({ loadPaths = [] } = {}) => ({
+	canonicalize(url, { containingUrl }) {
+		if (!Object.hasOwn(DATA_PARSERS, path.extname(url))) {
+			return null;
+		}
+
+		let candidates;
+		if (url.startsWith('file:')) {
+			candidates = [fileURLToPath(url)];
+		} else if (/^[a-z][\d+.a-z-]*:/i.test(url)) {
+			return null;
+		} else {
+			const bases = [
+				...(containingUrl?.protocol === 'file:'
+					? [path.dirname(fileURLToPath(containingUrl))]
+					: []),
+				...loadPaths,
+			];
+			candidates = bases.map((base) => path.resolve(base, url));
+		}
+
+		const found = candidates.find((candidate) =>
+			fs.statSync(candidate, { throwIfNoEntry: false })?.isFile(),
+		);
+		return found ? pathToFileURL(found) : null;
+	},
+
+	load(canonicalUrl) {
+		const filePath = fileURLToPath(canonicalUrl);
+		const parse = DATA_PARSERS[path.extname(filePath)];
+		return {
+			contents: createModuleSource(
+				path.basename(filePath),
+				parse(fs.readFileSync(filePath, 'utf8')),
+			),
+			syntax: 'scss',
+		};
+	},
+});
+
+// The function the stylesheet evaluating a token module passes its variables
+// to.
+const TOKENS_FUNCTION = 'gulp-export-tokens';
+
+/**
+ * Formats a Sass color as CSS, as a hex color when it is opaque. Colors
+ * outside the legacy RGB, HSL and HWB spaces keep their own space.
+ * @param {SassColor} color - The color.
+ * @returns {string} - The CSS color.
+ */
+const formatSassColor = (color) => {
+	if (!color.isLegacy) {
+		return String(color);
+	}
+
+	const rgb = color.toSpace('rgb');
+	const channels = ['red', 'green', 'blue'].map((channel) =>
+		Math.round(rgb.channel(channel)),
+	);
+	return rgb.alpha === 1
+		? `#${channels.map((channel) => channel.toString(16).padStart(2, '0')).join('')}`
+		: `rgba(${channels.join(', ')}, ${rgb.alpha})`;
+};
+
+// The precedence of the operators of calculations.
+const CALCULATION_PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2 };
+
+/**
+ * Formats an argument of a calculation as CSS text, adding the parentheses
+ * needed to keep the order of its operations.
+ * @param {Value|CalculationOperation|CalculationInterpolation} value - The
+ * argument.
+ * @returns {string} - The CSS text.
+ */
+const toCalculationText = (value) => {
+	if (value instanceof CalculationInterpolation) {
+		return value.value;
+	}
+	if (!(value instanceof CalculationOperation)) {
+		return toCssText(value);
+	}
+
+	const precedence = CALCULATION_PRECEDENCE[value.operator];
+	const wrap = (operand, isRight) => {
+		const text = toCalculationText(operand);
+		if (!(operand instanceof CalculationOperation)) {
+			return text;
+		}
+		const operandPrecedence = CALCULATION_PRECEDENCE[operand.operator];
+		// `a - (b + c)` and `a / (b * c)` need parentheses on the right.
+		const isGrouped =
+			operandPrecedence < precedence ||
+			(isRight &&
+				operandPrecedence === precedence &&
+				(value.operator === '-' || value.operator === '/'));
+		return isGrouped ? `(${text})` : text;
+	};
+	return `${wrap(value.left, false)} ${value.operator} ${wrap(value.right, true)}`;
+};
+
+/**
+ * Formats a Sass value as CSS text, as it would be written in a stylesheet.
+ * @param {Value} value - The Sass value.
+ * @returns {string} - The CSS text.
+ */
+const toCssText = (value) => {
+	if (value instanceof SassColor) {
+		return formatSassColor(value);
+	}
+	if (value instanceof SassString) {
+		return value.hasQuotes ? JSON.stringify(value.text) : value.text;
+	}
+	if (value instanceof SassList) {
+		const separator = value.separator === ' ' ? ' ' : `${value.separator} `;
+		const text = value.asList
+			.toArray()
+			.map((item) => toCssText(item))
+			.join(separator);
+		return value.hasBrackets ? `[${text}]` : text;
+	}
+	if (value instanceof SassCalculation) {
+		const text = value.arguments
+			.toArray()
+			.map((argument) => toCalculationText(argument))
+			.join(', ');
+		return `${value.name}(${text})`;
+	}
+	return String(value);
+};
+
+/**
+ * Converts a Sass value to a JSON value. Maps become objects, comma-separated
+ * lists become arrays and unitless numbers become numbers. Other values
+ * become their CSS text, such as `'768px'` or `'#3bbfce'`. Functions and
+ * mixins have no JSON value, so they are left out of maps and lists.
+ * @param {Value} value - The Sass value.
+ * @returns {*} - The JSON value, or `undefined` for functions and mixins.
+ */
+const fromSassValue = (value) => {
+	if (value instanceof SassFunction || value instanceof SassMixin) {
+		return;
+	}
+	if (value === sassNull) {
+		return null;
+	}
+	if (value === sassTrue || value === sassFalse) {
+		return value.isTruthy;
+	}
+	if (value instanceof SassNumber && !value.hasUnits) {
+		return value.value;
+	}
+	if (value instanceof SassString) {
+		return value.text;
+	}
+	if (value instanceof SassMap) {
+		return Object.fromEntries(
+			[...value.contents]
+				.map(([key, item]) => [
+					key instanceof SassString ? key.text : toCssText(key),
+					fromSassValue(item),
+				])
+				.filter(([, item]) => item !== undefined),
+		);
+	}
+	if (value instanceof SassList && value.separator === ',') {
+		return value.asList
+			.toArray()
+			.map((item) => fromSassValue(item))
+			.filter((item) => item !== undefined);
+	}
+	return toCssText(value);
+};
+
+/**
+ * Writes the TypeScript type of a JSON value, with literal types for its
+ * primitive values.
+ * @param {*} value - The JSON value.
+ * @param {string} [indent] - The indentation of the line the type is on.
+ * @returns {string} - The TypeScript type.
+ */
+const toTypeDeclaration = (value, indent = '') => {
+	if (Array.isArray(value)) {
+		return `readonly [${value.map((item) => toTypeDeclaration(item, indent)).join(', ')}]`;
+	}
+	if (typeof value === 'object' && value !== null) {
+		const members = Object.entries(value).map(
+			([key, item]) =>
+				`${indent}  readonly ${JSON.stringify(key)}: ${toTypeDeclaration(item, `${indent}  `)};\n`,
+		);
+		return `{\n${members.join('')}${indent}}`;
+	}
+	return JSON.stringify(value);
+};
+
+// The formats design tokens can be exported in, by file extension.
+const TOKEN_FORMATS = {
+	json: (tokens) => `${JSON.stringify(tokens, null, 2)}\n`,
+	js: (tokens) => `export default ${JSON.stringify(tokens, null, 2)};\n`,
+	'd.ts': (tokens) =>
+		`declare const tokens: ${toTypeDeclaration(tokens)};\nexport default tokens;\n`,
+};
+
+/**
+ * Normalizes the `tokens` option.
+ * @param {object} tokens - The `tokens` option.
+ * @param {Function|string|string[]} tokens.files - A predicate called with
+ * each file, or glob patterns matched against each file's relative path,
+ * selecting the modules to export the variables of.
+ * @param {string[]} [tokens.formats] - The formats to export the tokens in.
+ * @returns {object} - The `isTokenModule` predicate and the `formats`.
+ */
+const createTokenExport = (tokens) => {
+	if (typeof tokens !== 'object' || tokens === null || !tokens.files) {
+		throw new PluginError(
+			PLUGIN_NAME,
+			'Option "tokens" must be an object with the "files" to export.',
+		);
+	}
+
+	const formats = [tokens.formats ?? Object.keys(TOKEN_FORMATS)].flat();
+	const unknown = formats.find(
+		(format) => !Object.hasOwn(TOKEN_FORMATS, format),
+	);
+	if (unknown !== undefined || formats.length === 0) {
+		throw new PluginError(
+			PLUGIN_NAME,
+			'Option "tokens.formats" must list "json", "js" or "d.ts".',
+		);
+	}
+	return {
+		isTokenModule: createEntryFilter(tokens.files, 'tokens.files'),
+		formats,
+	};
+};
+
+/**
+ * Returns a signature of a file on disk used to detect changes, or
+ * `undefined` if the file cannot be read.
+ * @param {string} filePath - The absolute path of the file.
+ * @returns {string|undefined} - The file's modification time and size.
+ */
+const getFileSignature = (filePath) => {
+	const stat = fs.statSync(filePath, { throwIfNoEntry: false });
+	return stat && `${stat.mtimeMs}:${stat.size}`;
+};
+
+/**
+ * Gets a signature of the files a glob pattern matches, to detect files
+ * added or removed since it was expanded.
+ * @param {URL} canonicalUrl - The canonical `sass-glob:` URL.
+ * @returns {string} - The matched paths.
+ */
+const getGlobSignature = (canonicalUrl) =>
+	expandGlobUrl(canonicalUrl).join('\n');
+
+/**
+ * Creates a graph recording which files each entry loaded when it was last
+ * compiled, along with the compile result, so that unchanged entries can be
+ * passed through without recompiling.
+ * @returns {object} - The dependency graph.
+ */
+export const createDependencyGraph = () => {
+	const entries = new Map();
+
+	const graph = {
+		/**
+		 * Records the result of compiling an entry file.
+		 * @param {string} entryPath - The path of the entry file.
+		 * @param {Buffer} contents - The contents the entry was compiled from.
+		 * @param {object} result - The Sass compile result.
+		 * @param {string} [variant] - Identifies the options the entry was
+		 * compiled with, when it is compiled with several sets of options.
+		 */
+		set(entryPath, contents, result, variant = '') {
+			const dependencies = new Map();
+			// Glob patterns are expanded again to find files added since.
+			const globs = new Map();
+			for (const loadedUrl of result.loadedUrls ?? []) {
+				if (loadedUrl.protocol === GLOB_SCHEME) {
+					globs.set(loadedUrl.href, getGlobSignature(loadedUrl));
+				}
+				if (loadedUrl.protocol !== 'file:') {
+					continue;
+				}
+				const filePath = fileURLToPath(loadedUrl);
+				if (filePath !== entryPath) {
+					dependencies.set(filePath, getFileSignature(filePath));
+				}
+			}
+
+			// Results of other variants are only kept while they were compiled
+			// from the same contents and dependencies.
+			const previous = entries.get(entryPath);
+			const isUnchanged =
+				previous?.contents.equals(Buffer.from(contents)) &&
+				previous.dependencies.size === dependencies.size &&
+				[...dependencies].every(
+					([filePath, signature]) =>
+						previous.dependencies.get(filePath) === signature,
+				) &&
+				previous.globs.size === globs.size &&
+				[...globs].every(
+					([href, signature]) =>
+						previous.globs.get(href) === signature,
+				);
+			const results = isUnchanged ? previous.results : new Map();
+			results.set(variant, result);
+
+			entries.set(entryPath, {
+				contents: Buffer.from(contents),
+				dependencies,
+				globs,
+				results,
+			});
+		},
+
+		/**
+		 * Gets the cached compile result of an entry file.
+		 * @param {string} entryPath - The path of the entry file.
+		 * @param {string} [variant] - Identifies the options of the result.
+		 * @returns {object|undefined} - A copy of the compile result.
+		 */
+		get(entryPath, variant = '') {
+			const result = entries.get(entryPath)?.results.get(variant);
+			// Downstream plugins may mutate the source map.
+			return (
+				result && {
+					...result,
+					sourceMap:
+						result.sourceMap && structuredClone(result.sourceMap),
+				}
+			);
+		},
+
+		/**
+		 * Checks whether an entry can be served from the cache: its contents
+		 * are unchanged, none of the files it loaded have changed on disk and
+		 * its glob patterns match the same files.
+		 * @param {string} entryPath - The path of the entry file.
+		 * @param {Buffer} contents - The current contents of the entry.
+		 * @param {string} [variant] - Identifies the options of the result.
+		 * @returns {boolean} - Whether the cached result is still valid.
+		 */
+		isFresh(entryPath, contents, variant = '') {
+			const entry = entries.get(entryPath);
+			if (
+				!entry?.results.has(variant) ||
+				!entry.contents.equals(Buffer.from(contents))
+			) {
+				return false;
+			}
+			for (const [filePath, signature] of entry.dependencies) {
+				if (
+					signature === undefined ||
+					getFileSignature(filePath) !== signature
+				) {
+					return false;
+				}
+			}
+			for (const [href, signature] of entry.globs) {
+				if (getGlobSignature(new URL(href)) !== signature) {
+					return false;
+				}
+			}
+			return true;
+		},
+
+		/**
+		 * Lists the files an entry loaded when it was last compiled.
+		 * @param {string} entryPath - The path of the entry file.
+		 * @returns {string[]} - The paths of the entry's dependencies.
+		 */
+		getDependencies(entryPath) {
+			return [...(entries.get(entryPath)?.dependencies.keys() ?? [])];
+		},
+
+		/**
+		 * Lists the entries that loaded a given file.
+		 * @param {string} filePath - The path of a partial or other dependency.
+		 * @returns {string[]} - The paths of the dependent entries.
+		 */
+		getDependents(filePath) {
+			return [...entries]
+				.filter(([, entry]) => entry.dependencies.has(filePath))
+				.map(([entryPath]) => entryPath);
+		},
+
+		/**
+		 * Discards cached results for a changed file and every entry that
+		 * depends on it, e.g. from a `gulp.watch` change event.
+		 * @param {string} filePath - The path of the changed file.
+		 * @returns {string[]} - The paths of the invalidated entries.
+		 */
+		invalidate(filePath) {
+			const invalidated = graph.getDependents(filePath);
+			if (entries.has(filePath)) {
+				invalidated.push(filePath);
+			}
+			for (const entryPath of invalidated) {
+				entries.delete(entryPath);
+			}
+			return invalidated;
+		},
+
+		/**
+		 * Removes all recorded entries.
+		 */
+		clear() {
+			entries.clear();
+		},
+	};
+
+	return graph;
+};
+
+// The graph used when the `incremental` option is `true`.
+export const dependencyGraph = createDependencyGraph();
+
+// How files that aren't entries are handled: dropped or pushed unchanged.
+const PARTIAL_MODES = new Set(['skip', 'pass']);
+
+/**
+ * Creates the predicate that decides which files are compiled. By default,
+ * files whose name starts with an underscore are partials.
+ * @param {Function|string|string[]} [entries] - A predicate called with each
+ * file, or glob patterns matched against each file's relative path. Patterns
+ * starting with `!` exclude the files they match.
+ * @param {string} [optionName] - The name of the option, for errors.
+ * @returns {Function} - Returns whether a file is an entry.
+ */
+const createEntryFilter = (entries, optionName = 'entries') => {
+	if (entries === undefined) {
+		return (file) => !file.basename.startsWith('_');
+	}
+	if (typeof entries === 'function') {
+		return entries;
+	}
+
+	const patterns = [entries].flat();
+	if (patterns.length === 0 || patterns.some((p) => typeof p !== 'string')) {
+		throw new PluginError(
+			PLUGIN_NAME,
+			`Option "${optionName}" must be a function or glob patterns.`,
+		);
+	}
+	const include = patterns.filter((pattern) => !pattern.startsWith('!'));
+	const exclude = patterns
+		.filter((pattern) => pattern.startsWith('!'))
+		.map((pattern) => pattern.slice(1));
+	const isIncluded =
+		include.length > 0 ? picomatch(include, { dot: true }) : () => true;
+	const isExcluded =
+		exclude.length > 0 ? picomatch(exclude, { dot: true }) : () => false;
+
+	return (file) => {
+		const relative = file.relative.split(path.sep).join('/');
+		return isIncluded(relative) && !isExcluded(relative);
+	};
+};
+
+/**
+ * Normalizes the `variants` option into the outputs compiled from each entry.
+ * @param {object[]} [variants] - The Sass options of each output, with the
+ * `suffix` added to its file name before `.css`.
+ * @returns {object[]} - Each output's suffix, Sass options and a key that
+ * identifies its options.
+ */
+const createVariants = (variants) => {
+	if (variants === undefined) {
+		return [{ suffix: '', options: {}, key: '' }];
+	}
+	if (!Array.isArray(variants) || variants.length === 0) {
+		throw new PluginError(
+			PLUGIN_NAME,
+			'Option "variants" must be a non-empty array.',
+		);
+	}
+
+	const normalized = variants.map(({ suffix = '', ...variantOptions }) => {
+		if (typeof suffix !== 'string') {
+			throw new PluginError(
+				PLUGIN_NAME,
+				'The suffix of a variant must be a string.',
+			);
+		}
+		const options = normalizeOptions(variantOptions);
+		for (const key of Object.keys(options)) {
+			if (PLUGIN_OPTIONS.has(key)) {
+				throw new PluginError(
+					PLUGIN_NAME,
+					`Option "${key}" can't be set per variant.`,
+				);
+			}
+		}
+		return {
+			suffix,
+			options,
+			key:
+				Object.keys(options).length > 0
+					? serializeOptions(options)
+					: '',
+		};
+	});
+
+	if (
+		new Set(normalized.map(({ suffix }) => suffix)).size < variants.length
+	) {
+		throw new PluginError(
+			PLUGIN_NAME,
+			'Each variant must have a different suffix.',
+		);
+	}
+	return normalized;
+};
+
+// The digits of the Base64 VLQs in source map mappings.
+const BASE64_DIGITS =
+	'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decodes the mappings of a source map into segments with absolute values.
+ * @param {string} mappings - The encoded mappings.
+ * @returns {number[][][]} - For each generated line, its segments: the
+ * column, then the source index, line and column, and the name index.
+ */
+const decodeMappings = (mappings) => {
+	const state = [0, 0, 0, 0, 0];
+	return mappings.split(';').map((line) => {
+		state[0] = 0;
+		if (line === '') {
+			return [];
+		}
+
+		return line.split(',').map((encoded) => {
+			const segment = [];
+			let value = 0;
+			let shift = 0;
+			for (const character of encoded) {
+				const digit = BASE64_DIGITS.indexOf(character);
+				value += (digit & 31) << shift;
+				if (digit & 32) {
+					shift += 5;
+					continue;
+				}
+
+				const field = segment.length;
+				state[field] += value & 1 ? -(value >>> 1) : value >>> 1;
+				segment.push(state[field]);
+				value = 0;
+				shift = 0;
+			}
+			return segment;
+		});
+	});
+};
+
+/**
+ * Encodes segments with absolute values into source map mappings.
+ * @param {number[][][]} lines - The segments of each generated line.
+ * @returns {string} - The encoded mappings.
+ */
+const encodeMappings = (lines) => {
+	const state = [0, 0, 0, 0, 0];
+	return lines
+		.map((segments) => {
+			state[0] = 0;
+			return segments
+				.map((segment) =>
+					segment
+						.map((value, field) => {
+							const delta = value - state[field];
+							state[field] = value;
+
+							let vlq =
+								delta < 0 ? (-delta << 1) | 1 : delta << 1;
+							let encoded = '';
+							do {
+								const digit = vlq & 31;
+								vlq >>>= 5;
+								encoded +=
+									BASE64_DIGITS[vlq > 0 ? digit | 32 : digit];
+							} while (vlq > 0);
+							return encoded;
+						})
+						.join(''),
+				)
+				.join(',');
+		})
+		.join(';');
+};
+
+/**
+ * Maps a source map of an entry compiled with injected Sass back to the
+ * entry's original contents. Lines of the entry are shifted up by the number
+ * of injected lines, and CSS generated by the injected Sass is left unmapped.
+ * @param {object} sourceMap - The source map generated by Sass.
+ * @param {object} injected - The Sass injected around the entry.
+ * @param {URL} injected.url - The URL of the entry.
+ * @param {number} injected.lineOffset - The number of lines injected before.
+ * @param {string} injected.contents - The original contents of the entry.
+ * @returns {object} - The corrected source map.
+ */
+const removeInjectedLines = (sourceMap, { url, lineOffset, contents }) => {
+	const sourceIndex = sourceMap.sources.indexOf(url.href);
+	if (sourceIndex === -1) {
+		return sourceMap;
+	}
+
+	const lineCount = contents.split('\n').length;
+	const lines = decodeMappings(sourceMap.mappings).map((segments) =>
+		segments.map((segment) => {
+			if (segment.length < 4 || segment[1] !== sourceIndex) {
+				return segment;
+			}
+			const line = segment[2] - lineOffset;
+			return line >= 0 && line < lineCount
+				? [segment[0], segment[1], line, ...segment.slice(3)]
+				: [segment[0]];
+		}),
+	);
+
+	return {
+		...sourceMap,
+		mappings: encodeMappings(lines),
+		...(sourceMap.sourcesContent && {
+			sourcesContent: sourceMap.sourcesContent.map((content, index) =>
+				index === sourceIndex ? contents : content,
+			),
+		}),
+	};
+};
+
+// Matches `url()` functions in CSS, capturing the double-quoted,
+// single-quoted or unquoted URL.
+const CSS_URL_PATTERN = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^\s"'()]*))\s*\)/g;
+
+// The media types of the assets that can be inlined as data URIs.
+const ASSET_TYPES = {
+	'.avif': 'image/avif',
+	'.eot': 'application/vnd.ms-fontobject',
+	'.gif': 'image/gif',
+	'.ico': 'image/x-icon',
+	'.jpeg': 'image/jpeg',
+	'.jpg': 'image/jpeg',
+	'.otf': 'font/otf',
+	'.png': 'image/png',
+	'.svg': 'image/svg+xml',
+	'.ttf': 'font/ttf',
+	'.webp': 'image/webp',
+	'.woff': 'font/woff',
+	'.woff2': 'font/woff2',
+};
+
+/**
+ * Rewrites the relative URLs in `url()` functions, which Sass leaves as they
+ * were written, so they point to the same asset from the CSS file. Each URL
+ * is resolved relative to the stylesheet it was written in, found through the
+ * source map, and rewritten relative to the CSS file, or inlined as a data URI
+ * if the asset is small enough. URLs that don't resolve to a file are kept.
+ * @param {string} css - The compiled CSS.
+ * @param {object} sourceMap - The source map of the CSS, with `file:` sources.
+ * @param {string} outputPath - The path of the CSS file.
+ * @param {object} [options] - Rewriting options.
+ * @param {number} [options.inlineLimit] - The size in bytes under which
+ * assets are inlined.
+ * @returns {object} - The rewritten `css` and its `sourceMap`.
+ */
+const rewriteCssUrls = (
+	css,
+	sourceMap,
+	outputPath,
+	{ inlineLimit = 0 } = {},
+) => {
+	const lines = decodeMappings(sourceMap.mappings);
+	const cssLines = css.split('\n');
+
+	const rewriteUrl = (url, line, column) => {
+		if (url === '' || /^(?:[a-z][\d+.a-z-]*:|\/|#)/i.test(url)) {
+			return url;
+		}
+
+		// The last segment at or before the URL maps it to its stylesheet.
+		const segment = lines[line]?.findLast(
+			(candidate) => candidate.length >= 4 && candidate[0] <= column,
+		);
+		const source = segment && sourceMap.sources[segment[1]];
+		if (!source?.startsWith('file:')) {
+			return url;
+		}
+
+		const [, assetUrl, suffix] = /^([^#?]*)(.*)$/.exec(url);
+		let assetPath;
+		try {
+			assetPath = path.resolve(
+				path.dirname(fileURLToPath(source)),
+				decodeURIComponent(assetUrl),
+			);
+		} catch {
+			// Malformed escapes can't refer to a file.
+			return url;
+		}
+		const stat = fs.statSync(assetPath, { throwIfNoEntry: false });
+		if (!stat?.isFile()) {
+			return url;
+		}
+
+		const type = ASSET_TYPES[path.extname(assetPath).toLowerCase()];
+		if (type && stat.size < inlineLimit) {
+			return `data:${type};base64,${fs.readFileSync(assetPath).toString('base64')}`;
+		}
+		return `${encodeURI(toUrlPath(path.relative(path.dirname(outputPath), assetPath)))}${suffix}`;
+	};
+
+	const rewrittenLines = cssLines.map((cssLine, line) => {
+		const replacements = [...cssLine.matchAll(CSS_URL_PATTERN)].map(
+			(match) => {
+				const [text, doubleQuoted, singleQuoted, unquoted] = match;
+				const url = doubleQuoted ?? singleQuoted ?? unquoted;
+				const rewritten = rewriteUrl(url, line, match.index);
+				// Keep the quotes, adding them if the new URL needs them.
+				let quote = '';
+				if (doubleQuoted !== undefined) {
+					quote = '"';
+				} else if (singleQuoted !== undefined) {
+					quote = "'";
+				} else if (/[\s"'()\\]/.test(rewritten)) {
+					quote = '"';
+				}
+				return {
+					index: match.index,
+					text,
+					replacement:
+						rewritten === url
+							? text
+							: `url(${quote}${rewritten}${quote})`,
+				};
+			},
+		);
+
+		// Replace from the end, shifting the mappings after each URL.
+		let rewritten = cssLine;
+		for (const { index, text, replacement } of replacements.reverse()) {
+			if (replacement === text) {
+				continue;
+			}
+			rewritten =
+				rewritten.slice(0, index) +
+				replacement +
+				rewritten.slice(index + text.length);
+			for (const segment of lines[line] ?? []) {
+				if (segment[0] > index) {
+					segment[0] += replacement.length - text.length;
+				}
+			}
+		}
+		return rewritten;
+	});
+
+	return {
+		css: rewrittenLines.join('\n'),
+		sourceMap: { ...sourceMap, mappings: encodeMappings(lines) },
+	};
+};
+
+/**
+ * Maps a source map of post-processed CSS through the source map of the CSS
+ * it was generated from, so it points to the original stylesheets.
+ * @param {object} sourceMap - The source map of the CSS before processing.
+ * @param {object} map - The source map of the processed CSS, whose source is
+ * the CSS before processing.
+ * @returns {object} - The source map of the processed CSS to the stylesheets.
+ */
+const mergeSourceMaps = (sourceMap, map) => {
+	// PostCSS maps added nodes to a placeholder source, left unmapped here.
+	const sourceIndex = map.sources.findIndex(
+		(source) => source !== '<no source>',
+	);
+	const previousLines = decodeMappings(sourceMap.mappings);
+	const lines = decodeMappings(map.mappings).map((segments) =>
+		segments.map((segment) => {
+			if (segment.length < 4 || segment[1] !== sourceIndex) {
+				return [segment[0]];
+			}
+			// The last segment at or before the position maps it onwards.
+			const original = previousLines[segment[2]]?.findLast(
+				(candidate) => candidate[0] <= segment[3],
+			);
+			return original?.length >= 4
+				? [segment[0], ...original.slice(1)]
+				: [segment[0]];
+		}),
+	);
+
+	return { ...sourceMap, mappings: encodeMappings(lines) };
+};
+
+/**
+ * Returns whether a value is a PostCSS plugin, or a plugin creator.
+ * @param {*} value - The value to check.
+ * @returns {boolean} - Whether the value is a PostCSS plugin.
+ */
+const isPostCssPlugin = (value) =>
+	(typeof value === 'function' && value.postcss === true) ||
+	(typeof value === 'object' &&
+		value !== null &&
+		typeof value.postcssPlugin === 'string');
+
+let postcssPromise;
+
+/**
+ * Loads PostCSS, which is only needed to run PostCSS plugins.
+ * @returns {Promise<Function>} - The `postcss` function.
+ */
+const loadPostCss = () => {
+	postcssPromise ??= import('postcss').then(
+		({ default: postcss }) => postcss,
+		() => {
+			postcssPromise = undefined;
+			throw new PluginError(
+				PLUGIN_NAME,
+				'The "postcss" package must be installed to use PostCSS plugins in the "postProcess" option.',
+			);
+		},
+	);
+	return postcssPromise;
+};
+
+/**
+ * Creates a function running the `postProcess` option's steps over compiled
+ * CSS. Consecutive PostCSS plugins run together in a single PostCSS pass.
+ * @param {Function|object|Array} postProcess - A function receiving the CSS,
+ * its source map and the file, and returning the new CSS or an object with
+ * the `css` and its `map`, a PostCSS plugin, or an array of them.
+ * @returns {Function} - A function of the CSS, its source map, the file and
+ * the output path, returning the processed `css` and `sourceMap`.
+ */
+const createPostProcessor = (postProcess) => {
+	const steps = [];
+	for (const step of [postProcess].flat()) {
+		if (isPostCssPlugin(step)) {
+			if (Array.isArray(steps.at(-1))) {
+				steps.at(-1).push(step);
+			} else {
+				steps.push([step]);
+			}
+		} else if (typeof step === 'function') {
+			steps.push(step);
+		} else {
+			throw new PluginError(
+				PLUGIN_NAME,
+				'Option "postProcess" must be a function, a PostCSS plugin, or an array of them.',
+			);
+		}
+	}
+
+	return async (css, sourceMap, file, outputPath) => {
+		for (const step of steps) {
+			let output;
+			if (Array.isArray(step)) {
+				const postcss = await loadPostCss();
+				const result = await postcss(step).process(css, {
+					from: outputPath,
+					to: outputPath,
+					map: sourceMap
+						? {
+								inline: false,
+								annotation: false,
+								sourcesContent: false,
+							}
+						: false,
+				});
+				output = { css: result.css, map: result.map?.toJSON() };
+			} else {
+				output = await step(css, sourceMap, file);
+			}
+
+			// Functions may return nothing to keep the CSS unchanged.
+			if (output == undefined) {
+				continue;
+			}
+			if (typeof output === 'string') {
+				css = output;
+				continue;
+			}
+			css = output.css;
+			if (sourceMap && output.map) {
+				const map =
+					typeof output.map === 'string'
+						? JSON.parse(output.map)
+						: (output.map.toJSON?.() ?? output.map);
+				sourceMap = mergeSourceMaps(sourceMap, map);
+			}
+		}
+		return { css, sourceMap };
+	};
+};
+
+/**
+ * Resolves the `additionalData` option for a file into the Sass injected
+ * before and after its contents. Plain CSS files get nothing, as Sass would
+ * copy the injected rules into their output.
+ * @param {string|Function|object} [additionalData] - Sass to inject before
+ * the contents, a function of the file returning it, or an object with the
+ * `prepend` and `append` Sass, each a string or a function.
+ * @param {Vinyl} file - The entry file.
+ * @returns {Promise<object>} - The `prepend` and `append` Sass, separated
+ * from the contents by a newline.
+ */
+const resolveAdditionalData = async (additionalData, file) => {
+	const syntax = getFileSyntax(file.extname);
+	if (syntax === 'css') {
+		return { prepend: '', append: '' };
+	}
+
+	const { prepend, append } =
+		typeof additionalData === 'object'
+			? (additionalData ?? {})
+			: { prepend: additionalData };
+
+	const resolve = async (value) => {
+		const data = typeof value === 'function' ? await value(file) : value;
+		if (data != undefined && typeof data !== 'string') {
+			throw new PluginError(
+				PLUGIN_NAME,
+				'Option "additionalData" must give Sass as a string.',
+			);
+		}
+		return data ?? '';
+	};
+
+	const [before, after] = await Promise.all([
+		resolve(prepend),
+		resolve(append),
+	]);
+	// SCSS statements end with semicolons, which the indented syntax rejects.
+	if (syntax === 'indented' && /;[\t ]*$/m.test(`${before}\n${after}`)) {
+		throw new PluginError(
+			PLUGIN_NAME,
+			`Option "additionalData" must give indented Sass, without semicolons, for ${file.relative}.`,
+		);
+	}
+	return {
+		prepend: before && !before.endsWith('\n') ? `${before}\n` : before,
+		append: after && `\n${after}`,
+	};
+};
+
+// How the sources of a source map refer to the files they come from.
+const SOURCE_MAP_SOURCES = new Set(['absolute', 'relative']);
+
+/**
+ * Gets the `pkg:` URL of a file inside a node_modules package.
+ * @param {string} filePath - The absolute path of the file.
+ * @returns {string|undefined} - The `pkg:` URL, if the file is in a package.
+ */
+const getPackageUrl = (filePath) => {
+	const segments = filePath.split(path.sep);
+	const index = segments.lastIndexOf('node_modules');
+	if (index !== -1 && index < segments.length - 1) {
+		return `pkg:${segments.slice(index + 1).join('/')}`;
+	}
+};
+
+/**
+ * Converts a relative file path to a URL path.
+ * @param {string} filePath - The relative path.
+ * @returns {string} - The path with forward slashes.
+ */
+const toUrlPath = (filePath) => filePath.split(path.sep).join('/');
+
+/**
+ * Rewrites the `file:` URLs in the sources of a compiled source map, so the
+ * map doesn't expose absolute paths of the build machine.
+ * @param {object} sourceMap - The source map generated by Sass.
+ * @param {Vinyl} file - The compiled CSS file.
+ * @param {object} options - The source map options.
+ * @param {string} [options.sourceMapSources] - `absolute` to keep `file:`
+ * URLs, or `relative` to make them relative to the CSS file.
+ * @param {string} [options.sourceRoot] - The map's `sourceRoot`. Sources are
+ * then made relative to the file's base directory.
+ * @param {boolean} [options.sourceMapPackageUrls] - Whether to refer to files in
+ * node_modules by their `pkg:` URL.
+ * @returns {object} - A copy of the source map with the rewritten sources.
+ */
+const rewriteSourceMap = (
+	sourceMap,
+	file,
+	{ sourceMapSources = 'absolute', sourceRoot, sourceMapPackageUrls = false },
+) => {
+	const sources = sourceMap.sources.map((source) => {
+		if (!source.startsWith('file:')) {
+			return source;
+		}
+
+		const filePath = fileURLToPath(source);
+		const packageUrl = sourceMapPackageUrls && getPackageUrl(filePath);
+		if (packageUrl) {
+			return packageUrl;
+		}
+		if (sourceRoot !== undefined) {
+			return toUrlPath(path.relative(file.base, filePath));
+		}
+		if (sourceMapSources === 'relative') {
+			return toUrlPath(path.relative(file.dirname, filePath));
+		}
+		return source;
+	});
+
+	return {
+		...sourceMap,
+		...(sourceRoot === undefined ? {} : { sourceRoot }),
+		sources,
+	};
+};
+
+/**
+ * Reads the contents of a stream into a buffer.
+ * @param {Readable} stream - The stream to read.
+ * @returns {Promise<Buffer>} - The stream's contents.
+ */
+const readStream = async (stream) => {
+	const chunks = [];
+	for await (const chunk of stream) {
+		chunks.push(Buffer.from(chunk));
+	}
+	return Buffer.concat(chunks);
+};
+
+// Compilers whose embedded process is known to have stopped.
+const stoppedCompilers = new WeakSet();
+
+// The errors sass-embedded fails compilations with once its process exits.
+const COMPILER_STOPPED_PATTERN = /exited unexpectedly|already been disposed/;
+
+/**
+ * Checks whether a compilation failed because its compiler's process stopped,
+ * rather than from an error in the stylesheet.
+ * @param {Error} error - The error of the compilation.
+ * @returns {boolean} - Whether the compiler stopped.
+ */
+const isCompilerStoppedError = (error) =>
+	error?.compilerExited === true ||
+	(error?.sassMessage === undefined &&
+		COMPILER_STOPPED_PATTERN.test(error?.message ?? ''));
+
+/**
+ * Gets the embedded process of a compiler, to stop it on a timeout and to
+ * notice when it exits, as a running async compilation then never settles.
+ * `process` is a private field of sass-embedded's compilers, so it is only
+ * used for the `timeout` and `pool` options, which otherwise rely on
+ * compilations failing once the process has exited.
+ * @param {Compiler|AsyncCompiler} compiler - The compiler.
+ * @returns {object|undefined} - The process, if the compiler exposes it.
+ */
+const getCompilerProcess = (compiler) =>
+	typeof compiler.process?.once === 'function' &&
+	typeof compiler.process.kill === 'function'
+		? compiler.process
+		: undefined;
+
+/**
+ * Starts a compiler.
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.sync] - Whether to start a sync compiler.
+ * @param {boolean} [options.watch] - Whether to record when its process
+ * exits, so that it is replaced before the next compilation.
+ * @returns {Promise<Compiler|AsyncCompiler>} - The started compiler.
+ */
+const startCompiler = async ({ sync, watch = false } = {}) => {
+	const compiler = sync ? initCompiler() : await initAsyncCompiler();
+	if (watch) {
+		getCompilerProcess(compiler)?.once('exit', () =>
+			stoppedCompilers.add(compiler),
+		);
+	}
+	return compiler;
+};
+
+/**
+ * Checks whether a compiler can still be used, as far as is known.
+ * @param {Compiler|AsyncCompiler} compiler - The compiler to check.
+ * @returns {boolean} - Whether the compiler can be used.
+ */
+const isCompilerAlive = (compiler) => !stoppedCompilers.has(compiler);
+
+/**
+ * Waits for an async compilation. A compilation that takes longer than the
+ * timeout fails, and its compiler is stopped, as Sass can't cancel it. When
+ * watching the compiler's process, a compilation fails with an error marked
+ * `compilerExited` once the process exits, as it would otherwise never
+ * settle.
+ * @param {AsyncCompiler} compiler - The compiler running the compilation.
+ * @param {Promise<object>} compilation - The compilation.
+ * @param {object} [options] - Options.
+ * @param {number} [options.timeout] - Milliseconds to wait for the result.
+ * @param {string} [options.filePath] - The path of the file being compiled.
+ * @param {boolean} [options.watch] - Whether to watch the compiler's process.
+ * @returns {Promise<object>} - The compile result.
+ */
+const awaitCompilation = (
+	compiler,
+	compilation,
+	{ timeout, filePath, watch = false } = {},
+) =>
+	new Promise((resolve, reject) => {
+		const child = watch ? getCompilerProcess(compiler) : undefined;
+		let timer;
+		const settle = (callback) => (value) => {
+			clearTimeout(timer);
+			child?.off('exit', onExit);
+			callback(value);
+		};
+		const onExit = settle(() =>
+			reject(
+				Object.assign(
+					new Error(
+						'The embedded Sass compiler exited unexpectedly.',
+					),
+					{ compilerExited: true },
+				),
+			),
+		);
+
+		child?.once('exit', onExit);
+		if (timeout > 0) {
+			timer = setTimeout(
+				settle(() => {
+					reject(
+						new Error(
+							`Compiling ${filePath} timed out after ${timeout} ms.`,
+						),
+					);
+					// Without its process, the compiler is only replaced.
+					stoppedCompilers.add(compiler);
+					child?.kill();
+				}),
+				timeout,
+			);
+		}
+		compilation.then(settle(resolve), settle(reject));
+	});
+
+// Milliseconds a pooled compiler is kept unused by default, long enough for
+// the next run of a watch task that follows a quick save.
+const DEFAULT_IDLE_TIMEOUT = 5000;
+
+/**
+ * Creates a pool that shares one sync and one async compiler between plugin
+ * instances, so that repeated runs, such as from `gulp.watch`, don't pay the
+ * embedded process startup cost again. A compiler whose process has crashed
+ * is replaced the next time it is acquired.
+ * @param {object} [options] - Pool options.
+ * @param {number} [options.idleTimeout] - Milliseconds to keep an unused
+ * compiler alive after its last reference is released, so that an idle
+ * compiler doesn't keep the process running. `Infinity` keeps compilers
+ * until `shutdown()`.
+ * @returns {object} - The compiler pool.
+ */
+export const createCompilerPool = ({
+	idleTimeout = DEFAULT_IDLE_TIMEOUT,
+} = {}) => {
+	const slots = new Map();
+
+	const start = (kind) => {
+		const slot = {
+			compiler: startCompiler({ sync: kind === 'sync', watch: true }),
+			instance: undefined,
+			references: 0,
+			timer: undefined,
+		};
+		slot.compiler.then(
+			(compiler) => (slot.instance = compiler),
+			() => {
+				// Allow a failed start to be retried.
+				if (slots.get(kind) === slot) {
+					slots.delete(kind);
+				}
+			},
+		);
+		slots.set(kind, slot);
+		return slot;
+	};
+
+	const pool = {
+		/**
+		 * Gets the shared compiler, starting it if needed.
+		 * @param {object} [options] - Acquire options.
+		 * @param {boolean} [options.sync] - Whether to get the sync compiler.
+		 * @returns {Promise<Compiler|AsyncCompiler>} - The compiler.
+		 */
+		async acquire({ sync = false } = {}) {
+			const kind = sync ? 'sync' : 'async';
+			const slot = slots.get(kind) ?? start(kind);
+			slot.references++;
+			clearTimeout(slot.timer);
+
+			let compiler;
+			try {
+				compiler = await slot.compiler;
+			} catch (error) {
+				slot.references--;
+				throw error;
+			}
+
+			if (!isCompilerAlive(compiler)) {
+				// The embedded process has crashed, so start a new one.
+				slot.references--;
+				if (slots.get(kind) === slot) {
+					slots.delete(kind);
+				}
+				return pool.acquire({ sync });
+			}
+
+			return compiler;
+		},
+
+		/**
+		 * Releases a reference to a compiler acquired from the pool.
+		 * @param {Compiler|AsyncCompiler} compiler - The compiler.
+		 */
+		release(compiler) {
+			for (const [kind, slot] of slots) {
+				if (slot.instance !== compiler) {
+					continue;
+				}
+				slot.references = Math.max(0, slot.references - 1);
+				if (slot.references === 0 && Number.isFinite(idleTimeout)) {
+					slot.timer = setTimeout(() => {
+						slots.delete(kind);
+						Promise.resolve()
+							.then(() => compiler.dispose())
+							.catch(() => {});
+					}, idleTimeout);
+					slot.timer.unref();
+				}
+			}
+		},
+
+		/**
+		 * Gets the number of unreleased references to a pooled compiler.
+		 * @param {object} [options] - Options.
+		 * @param {boolean} [options.sync] - Whether to count the sync compiler.
+		 * @returns {number} - The number of references.
+		 */
+		getReferenceCount({ sync = false } = {}) {
+			return slots.get(sync ? 'sync' : 'async')?.references ?? 0;
+		},
+
+		/**
+		 * Disposes all pooled compilers, waiting for running compilations to
+		 * finish. Compilers acquired afterwards are started again.
+		 */
+		async shutdown() {
+			const closing = [...slots.values()];
+			slots.clear();
+			await Promise.all(
+				closing.map(async (slot) => {
+					clearTimeout(slot.timer);
+					const compiler = await slot.compiler.catch(() => {});
+					if (compiler && isCompilerAlive(compiler)) {
+						await compiler.dispose();
+					}
+				}),
+			);
+		},
+	};
+
+	return pool;
+};
+
+// The pool used when the `pool` option is `true`.
+export const compilerPool = createCompilerPool();
+
+/**
+ * Hashes strings and buffers with SHA-256.
+ * @param {...(string|Buffer)} values - The values to hash.
+ * @returns {string} - The hex digest.
+ */
+const hash = (...values) => {
+	const hasher = createHash('sha256');
+	for (const value of values) {
+		hasher.update(value);
+	}
+	return hasher.digest('hex');
+};
+
+/**
+ * Hashes the contents of a file.
+ * @param {string} filePath - The path of the file.
+ * @returns {Promise<string|null>} - The hex digest, or `null` if the file
+ * can't be read.
+ */
+const hashFile = async (filePath) => {
+	try {
+		return hash(await fs.promises.readFile(filePath));
+	} catch {
+		return null;
+	}
+};
+
+/**
+ * Serializes options deterministically. Functions, such as custom Sass
+ * functions and importers, are serialized by their source, which doesn't
+ * tell apart closures capturing different values.
+ * @param {*} value - The value to serialize.
+ * @returns {string} - The serialized value.
+ */
+const serializeOptions = (value) =>
+	JSON.stringify(value, (key, item) => {
+		if (typeof item === 'function') {
+			return item.toString();
+		}
+		if (item && typeof item === 'object' && !Array.isArray(item)) {
+			return Object.fromEntries(
+				Object.keys(item)
+					.sort()
+					.map((itemKey) => [itemKey, item[itemKey]]),
+			);
+		}
+		return item;
+	});
+
+/**
+ * Checks whether a value holds functions, at any depth.
+ * @param {*} value - The value to check.
+ * @returns {boolean} - Whether a function was found.
+ */
+const hasFunctions = (value) => {
+	let found = false;
+	JSON.stringify(value, (key, item) => {
+		found ||= typeof item === 'function';
+		return item;
+	});
+	return found;
+};
+
+/**
+ * Gets a key identifying the options a file is compiled with, including
+ * whether it needs a source map, to tell apart results compiled differently.
+ * Functions and importers can't be compared, so options holding them only
+ * have a key when the `cacheKey` option identifies them.
+ * @param {object} options - The Sass options of the file.
+ * @param {Vinyl} file - The entry file.
+ * @param {string} [cacheKey] - The value of the `cacheKey` option for the
+ * file.
+ * @returns {string|undefined} - The key of the options, or `undefined` if
+ * results compiled with them can't be reused.
+ */
+const getOptionsKey = (options, file, cacheKey) => {
+	// The logger doesn't affect the output.
+	const comparedOptions = { ...options, logger: undefined };
+	if (cacheKey === undefined && hasFunctions(comparedOptions)) {
+		return;
+	}
+	return hash(
+		serializeOptions(comparedOptions),
+		String(Boolean(file.sourceMap)),
+		cacheKey ?? '',
+	);
+};
+
+/**
+ * Creates an on-disk cache of compile results. Entries are keyed by the
+ * file's path and contents, the key of the compile options and the
+ * sass-embedded version, and are only valid while every loaded file is
+ * unchanged.
+ * @param {string} directory - The directory to store cache entries in.
+ * @returns {object} - The compile cache.
+ */
+const createCompileCache = (directory) => {
+	const getEntryPath = (file, optionsKey) =>
+		path.join(
+			directory,
+			`${hash(optionsKey, info, file.path, file.contents)}.json`,
+		);
+
+	return {
+		/**
+		 * Reads the cached compile result of a file.
+		 * @param {Vinyl} file - The entry file.
+		 * @param {string} optionsKey - The key of the file's options.
+		 * @returns {Promise<object|undefined>} - The compile result, if valid.
+		 */
+		async get(file, optionsKey) {
+			let entry;
+			try {
+				entry = JSON.parse(
+					await fs.promises.readFile(
+						getEntryPath(file, optionsKey),
+						'utf8',
+					),
+				);
+			} catch {
+				// A missing or corrupt entry is a cache miss.
+				return;
+			}
+
+			for (const [filePath, fileHash] of Object.entries(
+				entry.dependencies,
+			)) {
+				if ((await hashFile(filePath)) !== fileHash) {
+					return;
+				}
+			}
+
+			return {
+				css: entry.css,
+				sourceMap: entry.sourceMap,
+				loadedUrls: entry.loadedUrls.map((href) => new URL(href)),
+				warnings: entry.warnings,
+			};
+		},
+
+		/**
+		 * Stores the compile result of a file.
+		 * @param {Vinyl} file - The entry file.
+		 * @param {string} optionsKey - The key of the file's options.
+		 * @param {object} result - The compile result.
+		 */
+		async set(file, optionsKey, result) {
+			const dependencies = {};
+			for (const loadedUrl of result.loadedUrls) {
+				// Modules defined by the `modules` option are part of the key.
+				if (loadedUrl.protocol === MODULE_SCHEME) {
+					continue;
+				}
+				// Loads from custom importers can't be verified later.
+				if (loadedUrl.protocol !== 'file:') {
+					return;
+				}
+				const filePath = fileURLToPath(loadedUrl);
+				if (filePath !== file.path) {
+					dependencies[filePath] = await hashFile(filePath);
+				}
+			}
+
+			const entryPath = getEntryPath(file, optionsKey);
+			const temporaryPath = `${entryPath}.${process.pid}.tmp`;
+			await fs.promises.mkdir(directory, { recursive: true });
+			await fs.promises.writeFile(
+				temporaryPath,
+				JSON.stringify({
+					dependencies,
+					css: result.css,
+					sourceMap: result.sourceMap,
+					loadedUrls: result.loadedUrls.map(({ href }) => href),
+					warnings: result.warnings,
+				}),
+			);
+			await fs.promises.rename(temporaryPath, entryPath);
+		},
+	};
+};
+
+/**
+ * Creates a processor compiling Vinyl files with the plugin's options, shared
+ * by the Gulp plugin and the programmatic API. Output files are handed over
+ * in the order their entries were written.
+ * @param {object|Function} pluginOptions - The plugin options, or a function
+ * for the `fileOptions` option.
+ * @param {object} handlers - Receivers of the processor's output.
+ * @param {Function} handlers.push - Receives each output file.
+ * @param {Function} handlers.warn - Receives each warning and its file.
+ * @param {Function} [handlers.report] - Receives each error and its file,
+ * before the error is rendered or handled.
+ * @param {object} [handlers.context] - The `this` of the `onError` handler.
+ * @param {Function} [handlers.summarize] - Receives the build summary when
+ * the processor closes, if the `summary` option is set.
+ * @returns {object} - The processor.
+ */
+const createProcessor = (
+	pluginOptions,
+	{ push, warn, report, context, summarize },
+) => {
+	// A function is shorthand for the `fileOptions` option.
+	const options = normalizeOptions(
+		typeof pluginOptions === 'function'
+			? { fileOptions: pluginOptions }
+			: pluginOptions,
+	);
+	const {
+		incremental,
+		onError,
+		maxWarnings,
+		failOnDeprecations,
+		cacheDirectory,
+		cacheKey,
+		concurrency: maxConcurrency = 1,
+		pool: poolOption,
+		fileOptions,
+		globImports,
+		streamImports,
+		entries,
+		partials = 'skip',
+		variants,
+		sourceMapSources = 'absolute',
+		sourceRoot,
+		sourceMapPackageUrls,
+		renderErrors,
+		additionalData,
+		modules,
+		dataImports,
+		rewriteUrls,
+		postProcess,
+		summary,
+		timeout,
+		tokens,
+		...sassOptions
+	} = options;
+	if (!PARTIAL_MODES.has(partials)) {
+		throw new PluginError(
+			PLUGIN_NAME,
+			'Option "partials" must be "skip" or "pass".',
+		);
+	}
+	const isEntry = createEntryFilter(entries);
+	const outputVariants = createVariants(variants);
+	const moduleImporter = modules && createModuleImporter(modules);
+	const postProcessor = postProcess && createPostProcessor(postProcess);
+	const tokenExport = tokens && createTokenExport(tokens);
+	if (!SOURCE_MAP_SOURCES.has(sourceMapSources)) {
+		throw new PluginError(
+			PLUGIN_NAME,
+			'Option "sourceMapSources" must be "absolute" or "relative".',
+		);
+	}
+	if (
+		cacheKey !== undefined &&
+		typeof cacheKey !== 'string' &&
+		typeof cacheKey !== 'function'
+	) {
+		throw new PluginError(
+			PLUGIN_NAME,
+			'Option "cacheKey" must be a string or a function.',
+		);
+	}
+	if (
+		globImports !== undefined &&
+		typeof globImports !== 'boolean' &&
+		(typeof globImports !== 'object' || globImports === null)
+	) {
+		throw new PluginError(
+			PLUGIN_NAME,
+			'Option "globImports" must be a boolean or an object.',
+		);
+	}
+	const pool = poolOption === true ? compilerPool : poolOption;
+	// Whether to watch compiler processes for crashes and timeouts.
+	const watch = timeout > 0 || Boolean(pool);
+	// Sync compilation blocks, so only async compilation can run in parallel.
+	if (!Number.isInteger(maxConcurrency) || maxConcurrency < 1) {
+		throw new PluginError(
+			PLUGIN_NAME,
+			'Option "concurrency" must be a positive integer.',
+		);
+	}
+	const concurrency = options?.sync ? 1 : maxConcurrency;
+	const pending = [];
+	const graph = incremental === true ? dependencyGraph : incremental;
+	const cache = cacheDirectory && createCompileCache(cacheDirectory);
+	// The contents of the stream's files, by path, for the stream importer.
+	const streamFiles = streamImports ? new Map() : undefined;
+	// Files held back until the stream ends when importing from the stream.
+	const deferred = [];
+	let compiler;
+	// The start of a compiler replacing one that has crashed, if pending.
+	let restarting;
+	let warningCount = 0;
+	// A record of each output, or failing entry, for the build summary.
+	const summaryEntries = [];
+	let partialCount = 0;
+	let passedCount = 0;
+	let startTime;
+
+	/**
+	 * Replaces the compiler if its process has crashed or been stopped, so
+	 * that the remaining files can still compile. Files compiling at the same
+	 * time share the replacement.
+	 */
+	const restartCompiler = async () => {
+		if (isCompilerAlive(compiler)) {
+			return;
+		}
+
+		restarting ??= (async () => {
+			if (pool) {
+				pool.release(compiler);
+				compiler = await pool.acquire({ sync: options?.sync });
+			} else {
+				compiler = await startCompiler({
+					sync: options?.sync,
+					watch: timeout > 0,
+				});
+			}
+		})().finally(() => {
+			restarting = undefined;
+		});
+		await restarting;
+	};
+
+	/**
+	 * Returns whether a compile result loaded any file from the stream other
+	 * than the entry itself. Such results can't be reused, as the graph and
+	 * the cache only track changes to files on disk.
+	 * @param {Vinyl} file - The entry file.
+	 * @param {object} result - The compile result.
+	 * @returns {boolean} - Whether the result depends on the stream.
+	 */
+	const usesStreamFiles = (file, result) =>
+		Boolean(streamFiles) &&
+		result.loadedUrls.some((loadedUrl) => {
+			if (loadedUrl.protocol !== 'file:') {
+				return false;
+			}
+			const loadedPath = fileURLToPath(loadedUrl);
+			return loadedPath !== file.path && streamFiles.has(loadedPath);
+		});
+
+	/**
+	 * Compiles a file, reusing a result from the dependency graph or the
+	 * on-disk cache when the file and its dependencies are unchanged.
+	 * @param {Vinyl} file - The entry file.
+	 * @param {object} variant - The output variant to compile.
+	 * @param {boolean} [quiet] - Whether to only collect warnings, without
+	 * logging them, as for the variants after the first.
+	 * @returns {Promise<object>} - The compile result and its warnings.
+	 */
+	const compile = async (file, variant, quiet = false) => {
+		const data = await resolveAdditionalData(additionalData, file);
+		const isInjected = data.prepend !== '' || data.append !== '';
+		// The graph and the cache compare the source that is compiled,
+		// including the injected Sass.
+		const source = isInjected
+			? {
+					path: file.path,
+					sourceMap: file.sourceMap,
+					contents: Buffer.from(
+						`${data.prepend}${file.contents}${data.append}`,
+					),
+				}
+			: file;
+
+		const fileSassOptions = {
+			...(await resolveFileOptions(sassOptions, fileOptions, file)),
+			...variant.options,
+		};
+		// The cache compares the modules' values along with the options, and
+		// needs source maps to rewrite URLs.
+		const cacheOptions =
+			modules || rewriteUrls
+				? {
+						...fileSassOptions,
+						...(modules && { modules }),
+						...(rewriteUrls && { sourceMap: true }),
+					}
+				: fileSassOptions;
+		const optionsKey = getOptionsKey(
+			cacheOptions,
+			file,
+			typeof cacheKey === 'function' ? await cacheKey(file) : cacheKey,
+		);
+		// Graphs can be shared between streams compiling with other options.
+		const graphKey =
+			optionsKey === undefined
+				? undefined
+				: hash(variant.key, optionsKey);
+
+		if (
+			graphKey !== undefined &&
+			graph?.isFresh(source.path, source.contents, graphKey)
+		) {
+			const result = graph.get(file.path, graphKey);
+			if (!usesStreamFiles(file, result)) {
+				return { ...result, cached: true };
+			}
+		}
+
+		let result =
+			optionsKey === undefined
+				? undefined
+				: await cache?.get(source, optionsKey);
+		if (result && usesStreamFiles(file, result)) {
+			result = undefined;
+		}
+		if (result) {
+			result.cached = true;
+		} else {
+			const warnings = [];
+			const injected = {
+				url: pathToFileURL(file.path),
+				lineOffset: data.prepend.split('\n').length - 1,
+				contents: file.contents.toString(),
+			};
+			const compileArguments = createCompileArguments(
+				file,
+				{
+					...fileSassOptions,
+					logger: createSassLogger(
+						warnings,
+						quiet ? {} : fileSassOptions.logger,
+						injected,
+					),
+				},
+				data,
+			);
+			if (rewriteUrls) {
+				// URLs are resolved through the source map.
+				compileArguments[1].sourceMap = true;
+			}
+			if (globImports) {
+				const { importers = [], loadPaths } = compileArguments[1];
+				compileArguments[1].importers = [
+					...importers,
+					createGlobImporter({
+						loadPaths,
+						forward: globImports.forward,
+					}),
+				];
+			}
+			if (dataImports) {
+				const { importers = [], loadPaths } = compileArguments[1];
+				compileArguments[1].importers = [
+					...importers,
+					createDataImporter({ loadPaths }),
+				];
+			}
+			if (moduleImporter) {
+				const { importers = [] } = compileArguments[1];
+				compileArguments[1].importers = [moduleImporter, ...importers];
+			}
+			if (streamFiles) {
+				const { importers = [], loadPaths } = compileArguments[1];
+				const streamImporter = createStreamImporter(streamFiles, {
+					loadPaths,
+				});
+				// Resolve the entry's relative loads against the stream first,
+				// then leave those it doesn't have to Sass, as for stylesheets
+				// loaded from the stream.
+				compileArguments[1].importer ??= streamImporter;
+				compileArguments[1].importers = [
+					relativeFileImporter,
+					...importers,
+					streamImporter,
+				];
+			}
+
+			const run = async () => {
+				await restartCompiler();
+				const running = compiler;
+				try {
+					// Use the async/sync compile command.
+					return await (options?.sync
+						? running.compileString(...compileArguments)
+						: awaitCompilation(
+								running,
+								running.compileStringAsync(...compileArguments),
+								{ timeout, filePath: file.relative, watch },
+							));
+				} catch (error) {
+					if (isCompilerStoppedError(error)) {
+						stoppedCompilers.add(running);
+					}
+					throw error;
+				}
+			};
+			try {
+				let output;
+				try {
+					output = await run();
+				} catch (error) {
+					// Compile again on a new compiler if the process was
+					// stopped, such as by a crash or another file's timeout.
+					if (!isCompilerStoppedError(error)) {
+						throw error;
+					}
+					warnings.length = 0;
+					output = await run();
+				}
+				result = { ...output, warnings, cached: false };
+			} catch (error) {
+				throw formatSassError(error, injected);
+			}
+			if (isInjected && result.sourceMap) {
+				result.sourceMap = removeInjectedLines(
+					result.sourceMap,
+					injected,
+				);
+			}
+			if (usesStreamFiles(file, result)) {
+				return result;
+			}
+			if (optionsKey !== undefined) {
+				await cache?.set(source, optionsKey, result);
+			}
+		}
+
+		if (graphKey !== undefined) {
+			graph?.set(source.path, source.contents, result, graphKey);
+		}
+		return result;
+	};
+
+	/**
+	 * Evaluates the public variables of a module selected by the `tokens`
+	 * option, and creates a file of them in each token format, next to the
+	 * module's CSS.
+	 * @param {Vinyl} file - The module, with buffered contents.
+	 * @returns {Promise<Vinyl[]>} - The token files.
+	 */
+	const exportTokens = async (file) => {
+		const data = await resolveAdditionalData(additionalData, file);
+		const fileSassOptions = await resolveFileOptions(
+			sassOptions,
+			fileOptions,
+			file,
+		);
+		const { loadPaths } = createCompileArguments(file, fileSassOptions)[1];
+		// Load the module from its contents in the stream.
+		const files = new Map(streamFiles);
+		files.set(
+			file.path,
+			Buffer.from(`${data.prepend}${file.contents}${data.append}`),
+		);
+
+		let variables;
+		const source = [
+			"@use 'sass:meta';",
+			`@use ${quoteCssString(pathToFileURL(file.path).href)} as tokens;`,
+			`$tokens: ${TOKENS_FUNCTION}(meta.module-variables('tokens'));`,
+		].join('\n');
+		const compileOptions = {
+			...fileSassOptions,
+			loadPaths,
+			// Warnings are reported when the module is compiled to CSS.
+			logger: Logger.silent,
+			importers: [
+				createStreamImporter(files, { loadPaths }),
+				relativeFileImporter,
+				...(moduleImporter ? [moduleImporter] : []),
+				...(fileSassOptions.importers ?? []),
+				...(globImports
+					? [
+							createGlobImporter({
+								loadPaths,
+								forward: globImports.forward,
+							}),
+						]
+					: []),
+				...(dataImports ? [createDataImporter({ loadPaths })] : []),
+			],
+			functions: {
+				...fileSassOptions.functions,
+				[`${TOKENS_FUNCTION}($variables)`]([value]) {
+					variables = value;
+					return sassNull;
+				},
+			},
+		};
+
+		await restartCompiler();
+		try {
+			await (options?.sync
+				? compiler.compileString(source, compileOptions)
+				: awaitCompilation(
+						compiler,
+						compiler.compileStringAsync(source, compileOptions),
+						{ timeout, filePath: file.relative, watch },
+					));
+		} catch (error) {
+			if (isCompilerStoppedError(error)) {
+				stoppedCompilers.add(compiler);
+			}
+			throw formatSassError(error);
+		}
+
+		const tokenValues = fromSassValue(variables);
+		const basePath = path.join(file.dirname, file.stem.replace(/^_/, ''));
+		return tokenExport.formats.map(
+			(format) =>
+				new Vinyl({
+					cwd: file.cwd,
+					base: file.base,
+					path: `${basePath}.${format}`,
+					contents: Buffer.from(TOKEN_FORMATS[format](tokenValues)),
+				}),
+		);
+	};
+
+	/**
+	 * Compiles an entry file into one of its output variants, replacing its
+	 * contents with the CSS.
+	 * @param {Vinyl} file - The entry file, with buffered contents.
+	 * @param {object} variant - The output variant to compile.
+	 * @param {boolean} [quiet] - Whether the file's warnings were already
+	 * reported for another variant.
+	 */
+	const compileOutput = async (file, variant, quiet = false) => {
+		const extension = `${variant.suffix}.css`;
+		const entryPath = file.relative;
+		if (file.contents.length === 0) {
+			file.path = replaceExtension(file.path, extension);
+			summaryEntries.push({
+				path: entryPath,
+				output: file.relative,
+				status: 'empty',
+				duration: 0,
+				outputBytes: 0,
+				warnings: 0,
+			});
+			return;
+		}
+
+		const compileStartTime = performance.now();
+		const result = await compile(file, variant, quiet);
+		const loadedUrls = result.loadedUrls ?? [];
+
+		file.sass = {
+			version: SASS_VERSION,
+			syntax: getFileSyntax(file.extname),
+			duration: performance.now() - compileStartTime,
+			cached: result.cached,
+			loadedUrls,
+			loadedPaths: loadedUrls
+				.filter(({ protocol }) => protocol === 'file:')
+				.map((loadedUrl) => fileURLToPath(loadedUrl)),
+			warnings: result.warnings,
+		};
+		file.sassWarnings = result.warnings;
+		if (!quiet) {
+			for (const warning of result.warnings) {
+				if (warning.type !== 'debug') {
+					warningCount++;
+				}
+				warn(warning, file);
+			}
+			assertWarnings(result.warnings, warningCount, {
+				maxWarnings,
+				failOnDeprecations,
+			});
+		}
+
+		let { css, sourceMap } = result;
+		const outputPath = replaceExtension(file.path, extension);
+		if (rewriteUrls && sourceMap) {
+			({ css, sourceMap } = rewriteCssUrls(css, sourceMap, outputPath, {
+				inlineLimit: rewriteUrls.inlineLimit,
+			}));
+		}
+		if (postProcessor) {
+			({ css, sourceMap } = await postProcessor(
+				css,
+				sourceMap,
+				file,
+				outputPath,
+			));
+		}
+
+		file.contents = Buffer.from(css);
+		file.path = outputPath;
+		summaryEntries.push({
+			path: entryPath,
+			output: file.relative,
+			status: result.cached ? 'cached' : 'compiled',
+			duration: file.sass.duration,
+			outputBytes: file.contents.length,
+			warnings: result.warnings.filter(({ type }) => type !== 'debug')
+				.length,
+		});
+		if (file.stat) {
+			file.stat.atime = file.stat.mtime = file.stat.ctime = new Date();
+		}
+
+		// Source maps are also generated to rewrite URLs, but only applied to
+		// files that have one.
+		if (sourceMap != undefined && file.sourceMap) {
+			applySourceMap(file, {
+				file: file.path,
+				...rewriteSourceMap(sourceMap, file, {
+					sourceMapSources,
+					sourceRoot,
+					sourceMapPackageUrls,
+				}),
+			});
+		}
+	};
+
+	/**
+	 * Compiles a Vinyl file to CSS.
+	 * @param {Vinyl} file - The file to compile.
+	 * @returns {Promise<Vinyl|Vinyl[]|undefined>} - The files to push, if any.
+	 */
+	const processFile = async (file) => {
+		const fileStartTime = performance.now();
+		const entryPath = file.relative;
+		let isStreaming = false;
+		let isEntryFile = false;
+
+		// Give streamed files their output as a stream, matching the input.
+		const restoreStream = (output) => {
+			if (isStreaming && output?.isBuffer?.()) {
+				output.contents = Readable.from([output.contents]);
+			}
+			return output;
+		};
+
+		try {
+			if (file.isNull()) {
+				return file;
+			}
+
+			// Skip partials, or pass them through unchanged, unless their
+			// tokens are exported.
+			isEntryFile = await isEntry(file);
+			const isTokenModule = Boolean(
+				tokenExport && (await tokenExport.isTokenModule(file)),
+			);
+			if (!isEntryFile && !isTokenModule) {
+				if (partials === 'pass') {
+					passedCount++;
+					return file;
+				}
+				partialCount++;
+				return;
+			}
+
+			// Compile streamed files from their buffered contents.
+			if (file.isStream()) {
+				isStreaming = true;
+				file.contents = await readStream(file.contents);
+			}
+
+			const tokenFiles = isTokenModule ? await exportTokens(file) : [];
+			if (!isEntryFile) {
+				if (partials === 'pass') {
+					passedCount++;
+					return [restoreStream(file), ...tokenFiles];
+				}
+				partialCount++;
+				return tokenFiles;
+			}
+
+			if (outputVariants.length === 1) {
+				await compileOutput(file, outputVariants[0]);
+				return [restoreStream(file), ...tokenFiles];
+			}
+
+			// Copy the entry for each further variant before it becomes CSS.
+			const outputs = outputVariants.map((variant, index) =>
+				index === 0 ? file : file.clone(),
+			);
+			for (const [index, variant] of outputVariants.entries()) {
+				await compileOutput(outputs[index], variant, index > 0);
+			}
+			return [
+				...outputs.map((output) => restoreStream(output)),
+				...tokenFiles,
+			];
+		} catch (error) {
+			const pluginError = new PluginError(
+				PLUGIN_NAME,
+				formatSassError(error),
+				{ showProperties: false },
+			);
+			report?.(pluginError, file);
+			summaryEntries.push({
+				path: entryPath,
+				status: 'failed',
+				duration: performance.now() - fileStartTime,
+				outputBytes: 0,
+				warnings: 0,
+			});
+
+			// Only entries have outputs to show the error in, so failures to
+			// export the tokens of partials are handled like other errors.
+			if (renderErrors && isEntryFile) {
+				// Replace each output with a stylesheet showing the error.
+				logError(pluginError);
+				const css = Buffer.from(createErrorCss(error, file.path));
+				return outputVariants.map((variant, index) => {
+					const output = index === 0 ? file : file.clone();
+					output.contents = css;
+					output.path = replaceExtension(
+						file.path,
+						`${variant.suffix}.css`,
+					);
+					return restoreStream(output);
+				});
+			}
+
+			if (typeof onError !== 'function') {
+				throw pluginError;
+			}
+
+			// Keep the stream alive, pushing the handler's replacement file,
+			// if any, in place of the failing file.
+			return restoreStream(
+				await onError.call(context, pluginError, file),
+			);
+		}
+	};
+
+	/**
+	 * Pushes processed files in input order, waiting until no more than
+	 * `limit` files are still being processed.
+	 * @param {number} limit - The number of files that may remain pending.
+	 */
+	const pushCompleted = async (limit) => {
+		while (pending.length > limit) {
+			// Entries compiled into several variants give several files.
+			for (const file of [await pending.shift()].flat()) {
+				if (file) {
+					push(file);
+				}
+			}
+		}
+	};
+
+	/**
+	 * Starts processing a file, then pushes completed files until no more
+	 * than the allowed number of files are being processed.
+	 * @param {Vinyl} file - The file to process.
+	 */
+	const enqueue = async (file) => {
+		const output = processFile(file);
+		// Errors are handled once the file's turn to be pushed comes.
+		output.catch(() => {});
+		pending.push(output);
+		await pushCompleted(concurrency - 1);
+	};
+
+	return {
+		/**
+		 * Starts a compiler, or acquires one from the pool.
+		 */
+		async open() {
+			startTime = performance.now();
+			compiler = await (pool
+				? pool.acquire({ sync: options?.sync })
+				: startCompiler({ sync: options?.sync, watch: timeout > 0 }));
+		},
+
+		/**
+		 * Adds a file to process, resolving once few enough files are
+		 * pending to accept the next one.
+		 * @param {Vinyl} file - The file to process.
+		 */
+		async write(file) {
+			if (streamFiles) {
+				// Hold files back until every file the entries may import has
+				// been written.
+				if (file.isStream()) {
+					const contents = await readStream(file.contents);
+					streamFiles.set(file.path, contents);
+					file.contents = Readable.from([contents]);
+				} else if (file.isBuffer()) {
+					streamFiles.set(file.path, Buffer.from(file.contents));
+				}
+				deferred.push(file);
+				return;
+			}
+			await enqueue(file);
+		},
+
+		/**
+		 * Processes the held back files, then waits for every file.
+		 */
+		async end() {
+			for (const file of deferred.splice(0)) {
+				await enqueue(file);
+			}
+			await pushCompleted(0);
+		},
+
+		/**
+		 * Disposes the compiler, or returns it to the pool, then reports the
+		 * build summary if the `summary` option is set.
+		 */
+		async close() {
+			if (compiler && pool) {
+				pool.release(compiler);
+			} else if (compiler && isCompilerAlive(compiler)) {
+				await compiler.dispose();
+			}
+			if (!summary) {
+				return;
+			}
+
+			const buildSummary = createBuildSummary(summaryEntries, {
+				partials: partialCount,
+				passed: passedCount,
+				warnings: warningCount,
+				duration: performance.now() - startTime,
+			});
+			if (summary.print ?? true) {
+				process.stderr.write(formatBuildSummary(buildSummary));
+			}
+			if (summary.json) {
+				const jsonPath = path.resolve(summary.json);
+				await fs.promises.mkdir(path.dirname(jsonPath), {
+					recursive: true,
+				});
+				await fs.promises.writeFile(
+					jsonPath,
+					`${JSON.stringify(buildSummary, null, 2)}\n`,
+				);
+			}
+			summarize?.(buildSummary);
+		},
+
+		/**
+		 * Returns whether the processor has a compiler of the right kind.
+		 * @returns {boolean} - Whether the compiler is initialized.
+		 */
+		isCompilerInitialized() {
+			return options?.sync
+				? compiler instanceof Compiler
+				: compiler instanceof AsyncCompiler;
+		},
+	};
+};
+
+/**
+ * Creates a Vinyl file to compile from a path or a Vinyl-like object, reading
+ * its contents from disk when it has none. Vinyl files are cloned, leaving the
+ * original unchanged.
+ * @param {string|object} file - The path, or an object with the `path` and
+ * optionally the `contents`, `base` and `cwd` of the file, and its
+ * `sourceMap`, or `true` to generate one.
+ * @returns {Promise<Vinyl>} - The file to compile.
+ */
+const toVinyl = async (file) => {
+	if (Vinyl.isVinyl(file)) {
+		return file.clone();
+	}
+
+	const { contents, sourceMap, ...properties } =
+		typeof file === 'string' ? { path: file } : file;
+	const filePath = path.resolve(properties.cwd ?? '', properties.path);
+	const vinyl = new Vinyl({
+		...properties,
+		path: filePath,
+		contents: Buffer.from(
+			contents ?? (await fs.promises.readFile(filePath)),
+		),
+	});
+	if (sourceMap === true) {
+		vinyl.sourceMap = {
+			version: 3,
+			file: vinyl.relative,
+			names: [],
+			mappings: '',
+			sources: [],
+			sourcesContent: [],
+		};
+	} else if (sourceMap) {
+		vinyl.sourceMap = sourceMap;
+	}
+	return vinyl;
+};
+
+/**
+ * Compiles Sass files without Gulp, as the plugin compiles a stream of them.
+ * Partials are skipped, and errors are collected instead of stopping the
+ * compilation, unless an `onError` handler is given.
+ * @param {Array<string|object>} files - The paths of the files, or Vinyl-like
+ * objects, as accepted by `compileFile()`.
+ * @param {object|Function} [pluginOptions] - The plugin options, or a
+ * function for the `fileOptions` option.
+ * @returns {Promise<object>} - The compiled `files` as Vinyl files, with the
+ * `warnings` and `errors` of the compilation, and its `summary` if the
+ * `summary` option is set.
+ */
+export const compileFiles = async (files, pluginOptions = {}) => {
+	const options =
+		typeof pluginOptions === 'function'
+			? { fileOptions: pluginOptions }
+			: pluginOptions;
+	const result = { files: [], warnings: [], errors: [] };
+	const processor = createProcessor(
+		{
+			...options,
+			// Leave failing files out of the results.
+			onError: options.onError ?? (() => {}),
+		},
+		{
+			push: (file) => result.files.push(file),
+			warn: (warning) => result.warnings.push(warning),
+			report: (error) => result.errors.push(error),
+			summarize: (summary) => {
+				result.summary = summary;
+			},
+		},
+	);
+
+	await processor.open();
+	try {
+		for (const file of [files].flat()) {
+			await processor.write(await toVinyl(file));
+		}
+		await processor.end();
+	} finally {
+		await processor.close();
+	}
+	return result;
+};
+
+/**
+ * Compiles a single Sass file without Gulp.
+ * @param {string|object} file - The path of the file, a Vinyl file, or an
+ * object with the `path` and optionally the `contents`, `base` and `cwd` of
+ * the file, and its `sourceMap`, or `true` to generate one.
+ * @param {object|Function} [options] - The plugin options, or a function for
+ * the `fileOptions` option.
+ * @returns {Promise<object>} - The compiled `files`, one per output variant,
+ * with the `warnings` and `errors` of the compilation.
+ */
+export const compileFile = (file, options) => compileFiles([file], options);
+
+/**
+ * Transforms Vinyl file streams by compiling Sass to CSS.
+ * @param {object} options - Compilation options for the Sass compiler.
+ * @returns {Transform} - A stream transform object for Sass compilation.
+ */
+const gulpSassEmbedded = (pluginOptions = {}) => {
+	const transform = new Transform({
+		async open(callback) {
+			try {
+				await processor.open();
+				callback();
+			} catch (error) {
+				callback(new PluginError(PLUGIN_NAME, error));
+			}
+		},
+		async transform(file, callback) {
+			try {
+				await processor.write(file);
+				callback();
+			} catch (error) {
+				callback(error);
+			}
+		},
+		async flush(callback) {
+			try {
+				await processor.end();
+				callback();
+			} catch (error) {
+				callback(error);
+			}
+		},
+		async destroy(callback) {
+			// Dispose the compiler when all files have been processed, or
+			// return it to the pool.
+			try {
+				await processor.close();
+				callback();
+			} catch (error) {
+				// Emit an error event instead of calling the callback with an error
+				this.emit(
+					'error',
+					new PluginError(PLUGIN_NAME, error, {
+						showProperties: false,
+					}),
+				);
+				callback();
+			}
+		},
+	});
+	const processor = createProcessor(pluginOptions, {
+		push: (file) => transform.push(file),
+		warn: (warning, file) => transform.emit('warning', warning, file),
+		context: transform,
+		summarize: (summary) => transform.emit('summary', summary),
+	});
+
+	transform.isCompilerInitialized = () => processor.isCompilerInitialized();
+
+	return transform;
+};
+
+gulpSassEmbedded.logError = logError;
+
 // A utility to create a sync instance of the plugin.
 gulpSassEmbedded.sync = (options = {}) => {
-	return gulpSassEmbedded({ ...options, sync: true });
+	return gulpSassEmbedded(
+		typeof options === 'function'
+			? { fileOptions: options, sync: true }
+			: { ...options, sync: true },
+	);
 };
 
 export default gulpSassEmbedded;
@@ -1,7 +1,7 @@
 /* eslint-disable unicorn/no-null */
 /* eslint-disable unicorn/prefer-module */
 import gulp from 'gulp';
-import { Transform } from 'streamx';
+import { Readable, Transform } from 'streamx';
 import Vinyl from 'vinyl';
 import replaceExtension from 'replace-ext';
 import PluginError from 'plugin-error';
@@ -10,8 +10,24 @@ import * as sassEmbedded from 'sass-embedded';
 import * as url from 'node:url';
 import path from 'node:path';
 import fs from 'node:fs';
-
-import sass, { createCompileArguments, formatSassError } from '../index.js';
+import os from 'node:os';
+
+import sass, {
+	compileFile,
+	compileFiles,
+	compilerPool,
+	createCompileArguments,
+	createCompilerPool,
+	createDataImporter,
+	createDependencyGraph,
+	createGlobImporter,
+	createModuleImporter,
+	createStreamImporter,
+	dependencyGraph,
+	formatSassError,
+	logError,
+	normalizeOptions,
+} from '../index.js';
 
 const createVinyl = (filename, contents) => {
 	const base = path.join(__dirname, 'scss');
@@ -25,6 +41,99 @@ const createVinyl = (filename, contents) => {
 	});
 };
 
+const createMappedVinyl = (filename, contents) => {
+	const file = createVinyl(filename, contents);
+	file.sourceMap = { version: 3, mappings: '', sources: [] };
+	return file;
+};
+
+// Decodes the generated columns of the segments on the first line of a
+// source map's mappings.
+const getGeneratedColumns = (mappings) => {
+	const digits =
+		'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+	let column = 0;
+	return mappings
+		.split(';')[0]
+		.split(',')
+		.map((segment) => {
+			let value = 0;
+			let shift = 0;
+			for (const character of segment) {
+				const digit = digits.indexOf(character);
+				value += (digit & 31) << shift;
+				if (!(digit & 32)) {
+					break;
+				}
+				shift += 5;
+			}
+			column += value & 1 ? -(value >>> 1) : value >>> 1;
+			return column;
+		});
+};
+
+const createStreamingVinyl = (filename, contents) => {
+	const file = createVinyl(filename, contents);
+	file.contents = Readable.from([file.contents]);
+	return file;
+};
+
+const readContents = async (file) => {
+	const chunks = [];
+	for await (const chunk of file.contents) {
+		chunks.push(Buffer.from(chunk));
+	}
+	return Buffer.concat(chunks).toString();
+};
+
+const createEntryFiles = () => [
+	createVinyl('inheritance.scss'),
+	createVinyl('variables.scss'),
+];
+
+const warningSource = [
+	'@warn "Careful";',
+	'@debug "Debugging";',
+	'a { width: (10px / 2); }',
+].join('\n');
+
+const createWarningFile = () => createVinyl('warnings.scss', warningSource);
+
+const createWarningFiles = () => [
+	createVinyl('first.scss', '@warn "One";'),
+	createVinyl('second.scss', '@warn "Two"; @debug "Ignored";'),
+];
+
+// Creates files for a mocked compiler that takes the given delay to compile
+// each one, failing those at the given indexes.
+const createDelayedFiles = (delays, failing = []) =>
+	delays.map((delay, index) =>
+		createVinyl(
+			`file-${index}.scss`,
+			`${failing.includes(index) ? 'fail' : 'file'} ${delay}`,
+		),
+	);
+
+// Spies on the compiler of each async stream. Returns a function listing the
+// names of the files compiled by the most recently opened stream.
+const spyOnCompiles = () => {
+	const { initAsyncCompiler } = jest.requireActual('sass-embedded');
+	let compileSpy;
+
+	jest.spyOn(sassEmbedded, 'initAsyncCompiler').mockImplementation(
+		async () => {
+			const compiler = await initAsyncCompiler();
+			compileSpy = jest.spyOn(compiler, 'compileStringAsync');
+			return compiler;
+		},
+	);
+
+	return () =>
+		compileSpy?.mock.calls.map(([, { url }]) =>
+			path.basename(url.pathname),
+		) ?? [];
+};
+
 const initializeStream = (options = {}) => sass(options);
 
 const writeFileToStream = async (stream, files) => {
@@ -77,6 +186,21 @@ const getCompiledAndExpected = (cssFile, expectedName) => {
 	return { actual, expected };
 };
 
+// Creates Sass functions whose source is the same for every color, like
+// functions set per brand.
+const createBrandFunctions = (color) => ({
+	'brand()': () => new sassEmbedded.SassString(color, { quotes: false }),
+});
+
+// A PostCSS plugin creator adding a rule at the start of the CSS.
+const prependRule = () => ({
+	postcssPlugin: 'prepend-rule',
+	Once(root, { Rule }) {
+		root.prepend(new Rule({ selector: '.first' }));
+	},
+});
+prependRule.postcss = true;
+
 describe('Sass compiler initialization and error handling', () => {
 	let emptyFile;
 
@@ -213,6 +337,16 @@ describe('createCompileArguments', () => {
 		});
 	});
 
+	it('injects additional data around the contents', () => {
+		const [source] = createCompileArguments(
+			{ path: '/path/to/styles.scss', contents: Buffer.from('a {}') },
+			{},
+			{ prepend: "@use 'config' as *;\n", append: '\nb {}' },
+		);
+
+		expect(source).toBe("@use 'config' as *;\na {}\nb {}");
+	});
+
 	it('handles different file extensions', () => {
 		// eslint-disable-next-line unicorn/consistent-function-scoping
 		const testExtension = (extname, expectedSyntax) => {
@@ -320,16 +454,6 @@ describe('async compile', () => {
 		expect(data).toEqual(emptyFile);
 	});
 
-	it('emits error when file isStream()', async () => {
-		const streamFile = {
-			isStream: () => true,
-			isNull: () => false,
-		};
-		await expect(writeFileToStream(stream, streamFile)).rejects.toThrow(
-			'Streams are not supported!',
-		);
-	});
-
 	it('compiles an empty sass file', async () => {
 		const emptyFile = createVinyl('empty.scss', '');
 		const data = await writeFileToStream(stream, emptyFile);
@@ -583,16 +707,6 @@ describe('sync compile', () => {
 		expect(data).toEqual(emptyFile);
 	});
 
-	it('emits error when file isStream()', async () => {
-		const streamFile = {
-			isStream: () => true,
-			isNull: () => false,
-		};
-		await expect(writeFileToStream(stream, streamFile)).rejects.toThrow(
-			'Streams are not supported!',
-		);
-	});
-
 	it('compiles an empty sass file', async () => {
 		const emptyFile = createVinyl('empty.scss', '');
 		const data = await writeFileToStream(stream, emptyFile);
@@ -628,3 +742,3071 @@ describe('sync compile', () => {
 		}
 	});
 });
+
+describe('incremental compile', () => {
+	let graph;
+	let compiledNames;
+
+	beforeEach(() => {
+		graph = createDependencyGraph();
+		compiledNames = spyOnCompiles();
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it('records the files each entry loaded', async () => {
+		await writeFileToStream(sass({ incremental: graph }), [
+			createVinyl('inheritance.scss'),
+		]);
+
+		const entryPath = path.join(__dirname, 'scss', 'inheritance.scss');
+		const catsPath = path.join(__dirname, 'scss', 'includes', '_cats.scss');
+		expect(graph.getDependencies(entryPath).sort()).toEqual([
+			catsPath,
+			path.join(__dirname, 'scss', 'includes', '_dogs.sass'),
+		]);
+		expect(graph.getDependents(catsPath)).toEqual([entryPath]);
+	});
+
+	it('passes unchanged entries through from the cache', async () => {
+		const first = await writeFileToStream(
+			sass({ incremental: graph }),
+			createEntryFiles(),
+		);
+		expect(compiledNames()).toEqual(['inheritance.scss', 'variables.scss']);
+
+		const second = await writeFileToStream(
+			sass({ incremental: graph }),
+			createEntryFiles(),
+		);
+		expect(compiledNames()).toEqual([]);
+		expect(second.map((file) => file.contents.toString())).toEqual(
+			first.map((file) => file.contents.toString()),
+		);
+		expect(second.map((file) => path.basename(file.path))).toEqual([
+			'inheritance.css',
+			'variables.css',
+		]);
+	});
+
+	it('keeps the results of streams compiling with other options apart', async () => {
+		const expanded = await writeFileToStream(
+			sass({ incremental: graph }),
+			createVinyl('mixins.scss'),
+		);
+		const compressed = await writeFileToStream(
+			sass({ incremental: graph, style: 'compressed' }),
+			createVinyl('mixins.scss'),
+		);
+		const mapped = await writeFileToStream(
+			sass({ incremental: graph }),
+			createMappedVinyl('mixins.scss'),
+		);
+		const again = await writeFileToStream(
+			sass({ incremental: graph, style: 'compressed' }),
+			createVinyl('mixins.scss'),
+		);
+
+		expect(compiledNames()).toEqual([]);
+		expect(compressed.contents.toString()).not.toBe(
+			expanded.contents.toString(),
+		);
+		expect(compressed.contents.toString()).not.toContain('\n  ');
+		expect(mapped.sourceMap.mappings).not.toBe('');
+		expect(again.contents.toString()).toBe(compressed.contents.toString());
+	});
+
+	it('keeps the results of functions that differ in captured values apart', async () => {
+		const compileBrand = (color) =>
+			compileFile(createVinyl('brand.scss', 'a { color: brand(); }'), {
+				incremental: graph,
+				functions: createBrandFunctions(color),
+			});
+
+		const red = await compileBrand('red');
+		const blue = await compileBrand('blue');
+
+		expect(red.files[0].contents.toString()).toContain('color: red');
+		expect(blue.files[0].contents.toString()).toContain('color: blue');
+		expect(graph.get(path.join(__dirname, 'scss', 'brand.scss'))).toBe(
+			undefined,
+		);
+	});
+
+	it('recompiles an entry whose contents changed in-stream', async () => {
+		await writeFileToStream(
+			sass({ incremental: graph }),
+			createVinyl('mixins.scss'),
+		);
+		const data = await writeFileToStream(
+			sass({ incremental: graph }),
+			createVinyl('mixins.scss', '.changed { color: red; }'),
+		);
+		expect(compiledNames()).toEqual(['mixins.scss']);
+		expect(data.contents.toString()).toContain('.changed');
+	});
+
+	it('only recompiles entries depending on an invalidated partial', async () => {
+		await writeFileToStream(
+			sass({ incremental: graph }),
+			createEntryFiles(),
+		);
+
+		const invalidated = graph.invalidate(
+			path.join(__dirname, 'scss', 'includes', '_cats.scss'),
+		);
+		expect(invalidated).toEqual([
+			path.join(__dirname, 'scss', 'inheritance.scss'),
+		]);
+
+		await writeFileToStream(
+			sass({ incremental: graph }),
+			createEntryFiles(),
+		);
+		expect(compiledNames()).toEqual(['inheritance.scss']);
+	});
+
+	it('only recompiles entries depending on a partial changed on disk', async () => {
+		const directory = fs.mkdtempSync(
+			path.join(os.tmpdir(), 'gulp-sass-incremental-'),
+		);
+		const partialPath = path.join(directory, '_colors.scss');
+		fs.writeFileSync(partialPath, '$color: red;');
+
+		const createFiles = () => [
+			new Vinyl({
+				base: directory,
+				path: path.join(directory, 'uses-partial.scss'),
+				contents: Buffer.from(
+					"@use 'colors'; a { color: colors.$color; }",
+				),
+			}),
+			new Vinyl({
+				base: directory,
+				path: path.join(directory, 'standalone.scss'),
+				contents: Buffer.from('b { color: blue; }'),
+			}),
+		];
+
+		try {
+			await writeFileToStream(
+				sass({ incremental: graph }),
+				createFiles(),
+			);
+
+			fs.writeFileSync(partialPath, '$color: green;');
+			const future = new Date(Date.now() + 10_000);
+			fs.utimesSync(partialPath, future, future);
+
+			const data = await writeFileToStream(
+				sass({ incremental: graph }),
+				createFiles(),
+			);
+			expect(compiledNames()).toEqual(['uses-partial.scss']);
+			expect(data[0].contents.toString()).toContain('color: green');
+			expect(data[1].contents.toString()).toContain('color: blue');
+		} finally {
+			fs.rmSync(directory, { recursive: true, force: true });
+		}
+	});
+
+	it('uses the shared dependency graph when set to true', async () => {
+		dependencyGraph.clear();
+		await writeFileToStream(
+			sass({ incremental: true }),
+			createVinyl('variables.scss'),
+		);
+		expect(
+			dependencyGraph.getDependencies(
+				path.join(__dirname, 'scss', 'variables.scss'),
+			),
+		).toEqual([]);
+		await writeFileToStream(
+			sass({ incremental: true }),
+			createVinyl('variables.scss'),
+		);
+		expect(compiledNames()).toEqual([]);
+		dependencyGraph.clear();
+	});
+});
+
+describe('continue on error', () => {
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it('logs the formatted error and drops the failing file', async () => {
+		const stderrSpy = jest
+			.spyOn(process.stderr, 'write')
+			.mockImplementation(() => true);
+
+		const data = await writeFileToStream(sass({ onError: logError }), [
+			createVinyl('error.scss'),
+			createVinyl('variables.scss'),
+		]);
+
+		expect(data).toHaveLength(1);
+		expect(path.basename(data[0].path)).toBe('variables.css');
+		expect(stderrSpy).toHaveBeenCalledTimes(1);
+		const [message] = stderrSpy.mock.calls[0];
+		expect(message).toContain('gulp-sass-embedded');
+		expect(message).toContain('expected "{".');
+		expect(message).toContain('error.scss');
+	});
+
+	it('exposes logError on the plugin', () => {
+		// eslint-disable-next-line import-x/no-named-as-default-member
+		expect(sass.logError).toBe(logError);
+	});
+
+	it('logs errors without a formatted message', () => {
+		const stderrSpy = jest
+			.spyOn(process.stderr, 'write')
+			.mockImplementation(() => true);
+
+		logError(new Error('Plain error'));
+		logError('String error');
+
+		expect(stderrSpy.mock.calls[0][0]).toContain('Plain error');
+		expect(stderrSpy.mock.calls[1][0]).toContain('String error');
+	});
+
+	it('replaces the failing file with the handler result', async () => {
+		const onError = jest.fn(
+			(error, file) =>
+				new Vinyl({
+					base: file.base,
+					path: replaceExtension(file.path, '.css'),
+					contents: Buffer.from(`/* ${error.messageOriginal} */`),
+				}),
+		);
+
+		const data = await writeFileToStream(sass({ onError }), [
+			createVinyl('error.scss'),
+			createVinyl('variables.scss'),
+		]);
+
+		expect(onError).toHaveBeenCalledWith(
+			expect.objectContaining({
+				constructor: PluginError,
+				line: 2,
+				messageOriginal: 'expected "{".',
+			}),
+			expect.any(Vinyl),
+		);
+		expect(data).toHaveLength(2);
+		expect(path.basename(data[0].path)).toBe('error.css');
+		expect(data[0].contents.toString()).toBe('/* expected "{". */');
+		expect(path.basename(data[1].path)).toBe('variables.css');
+	});
+
+	it('keeps the sync stream alive', async () => {
+		const onError = jest.fn();
+
+		const data = await writeFileToStream(sass.sync({ onError }), [
+			createVinyl('invalid.scss', 'body { font: ; }'),
+			createVinyl('mixins.scss'),
+		]);
+
+		expect(onError).toHaveBeenCalledTimes(1);
+		expect(data).toHaveLength(1);
+		expect(path.basename(data[0].path)).toBe('mixins.css');
+	});
+
+	it('fails the stream when the handler throws', async () => {
+		const stream = sass({
+			onError: (error) => {
+				throw error;
+			},
+		});
+
+		await expect(
+			writeFileToStream(stream, createVinyl('error.scss')),
+		).rejects.toThrow('expected "{".');
+	});
+});
+
+describe('warnings', () => {
+	let stderrSpy;
+
+	beforeEach(() => {
+		stderrSpy = jest
+			.spyOn(process.stderr, 'write')
+			.mockImplementation(() => true);
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it('attaches warnings and deprecations to the file', async () => {
+		const data = await writeFileToStream(sass(), createWarningFile());
+		const filePath = path.join(__dirname, 'scss', 'warnings.scss');
+
+		expect(data.sassWarnings).toEqual([
+			expect.objectContaining({
+				type: 'warning',
+				message: 'Careful',
+				stack: expect.stringContaining(`${filePath} 1:1`),
+			}),
+			expect.objectContaining({
+				type: 'debug',
+				message: 'Debugging',
+				file: filePath,
+				line: 2,
+			}),
+			expect.objectContaining({
+				type: 'deprecation',
+				deprecationId: 'slash-div',
+				file: filePath,
+				line: 3,
+				column: 13,
+				span: expect.objectContaining({ text: '10px / 2' }),
+			}),
+		]);
+	});
+
+	it('prints warnings to stderr by default', async () => {
+		await writeFileToStream(sass(), createWarningFile());
+		const output = stderrSpy.mock.calls.map(([message]) => message);
+
+		expect(output).toHaveLength(3);
+		expect(output[0]).toContain('Warning: Careful');
+		expect(output[1]).toContain('Debug: Debugging');
+		expect(output[1]).toContain('warnings.scss:2:1');
+		expect(output[2]).toContain('Deprecation Warning [slash-div]');
+	});
+
+	it('forwards warnings to the logger option', async () => {
+		const logger = { warn: jest.fn(), debug: jest.fn() };
+		await writeFileToStream(sass({ logger }), createWarningFile());
+
+		expect(stderrSpy).not.toHaveBeenCalled();
+		expect(logger.warn).toHaveBeenCalledTimes(2);
+		expect(logger.warn).toHaveBeenCalledWith(
+			'Careful',
+			expect.objectContaining({ deprecation: false }),
+		);
+		expect(logger.debug).toHaveBeenCalledWith(
+			'Debugging',
+			expect.objectContaining({ span: expect.any(Object) }),
+		);
+	});
+
+	it('emits a warning event on the stream', async () => {
+		const stream = sass.sync({ logger: {} });
+		const onWarning = jest.fn();
+		stream.on('warning', onWarning);
+
+		const file = createWarningFile();
+		await writeFileToStream(stream, file);
+
+		expect(onWarning).toHaveBeenCalledTimes(3);
+		expect(onWarning).toHaveBeenCalledWith(
+			expect.objectContaining({ type: 'warning', message: 'Careful' }),
+			file,
+		);
+	});
+
+	it('fails when warnings exceed maxWarnings', async () => {
+		await expect(
+			writeFileToStream(sass({ maxWarnings: 2 }), createWarningFiles()),
+		).resolves.toHaveLength(2);
+		await expect(
+			writeFileToStream(sass({ maxWarnings: 1 }), createWarningFiles()),
+		).rejects.toThrow('Too many Sass warnings: 2 (maximum 1).');
+	});
+
+	it('fails on selected deprecation types', async () => {
+		await expect(
+			writeFileToStream(
+				sass({ failOnDeprecations: ['import'] }),
+				createWarningFile(),
+			),
+		).resolves.toBeTruthy();
+		await expect(
+			writeFileToStream(
+				sass({ failOnDeprecations: ['slash-div'] }),
+				createWarningFile(),
+			),
+		).rejects.toThrow('Deprecation [slash-div] is not allowed');
+		await expect(
+			writeFileToStream(
+				sass({ failOnDeprecations: true }),
+				createWarningFile(),
+			),
+		).rejects.toThrow('Deprecation [slash-div] is not allowed');
+	});
+
+	it('replays warnings of entries passed through from the cache', async () => {
+		const graph = createDependencyGraph();
+		await writeFileToStream(
+			sass({ incremental: graph }),
+			createWarningFile(),
+		);
+		const data = await writeFileToStream(
+			sass({ incremental: graph }),
+			createWarningFile(),
+		);
+
+		expect(data.sassWarnings).toHaveLength(3);
+	});
+});
+
+describe('compile cache', () => {
+	let directory;
+	let cacheDirectory;
+	let compiledNames;
+
+	const createCacheFiles = () => [
+		new Vinyl({
+			base: directory,
+			path: path.join(directory, 'uses-partial.scss'),
+			contents: Buffer.from("@use 'colors'; a { color: colors.$color; }"),
+		}),
+		new Vinyl({
+			base: directory,
+			path: path.join(directory, 'standalone.scss'),
+			contents: Buffer.from('b { color: blue; }'),
+		}),
+	];
+
+	const createMappedFile = () => {
+		const file = new Vinyl({
+			base: directory,
+			path: path.join(directory, 'warns.scss'),
+			contents: Buffer.from('@warn "Cached"; a { color: red; }'),
+		});
+		file.sourceMap = { version: 3, mappings: '', sources: [] };
+		return file;
+	};
+
+	const createVirtualFile = () =>
+		new Vinyl({
+			base: directory,
+			path: path.join(directory, 'virtual.scss'),
+			contents: Buffer.from("@use 'thing';"),
+		});
+
+	const createBrandFile = () =>
+		new Vinyl({
+			base: directory,
+			path: path.join(directory, 'brand.scss'),
+			contents: Buffer.from('a { color: brand(); }'),
+		});
+
+	const compileBrand = (color) =>
+		writeFileToStream(
+			sass({
+				cacheDirectory,
+				cacheKey: (file) => `${color}:${file.stem}`,
+				functions: createBrandFunctions(color),
+			}),
+			createBrandFile(),
+		);
+
+	beforeEach(() => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gulp-sass-cache-'));
+		cacheDirectory = path.join(directory, '.cache');
+		fs.writeFileSync(path.join(directory, '_colors.scss'), '$color: red;');
+		compiledNames = spyOnCompiles();
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		fs.rmSync(directory, { recursive: true, force: true });
+	});
+
+	it('skips compiling unchanged entries on later runs', async () => {
+		const first = await writeFileToStream(
+			sass({ cacheDirectory }),
+			createCacheFiles(),
+		);
+		expect(compiledNames()).toEqual([
+			'uses-partial.scss',
+			'standalone.scss',
+		]);
+		expect(fs.readdirSync(cacheDirectory)).toHaveLength(2);
+
+		const second = await writeFileToStream(
+			sass({ cacheDirectory }),
+			createCacheFiles(),
+		);
+		expect(compiledNames()).toEqual([]);
+		expect(second.map((file) => file.contents.toString())).toEqual(
+			first.map((file) => file.contents.toString()),
+		);
+	});
+
+	it('recompiles entries whose loaded files changed', async () => {
+		await writeFileToStream(sass({ cacheDirectory }), createCacheFiles());
+
+		fs.writeFileSync(
+			path.join(directory, '_colors.scss'),
+			'$color: green;',
+		);
+		const data = await writeFileToStream(
+			sass({ cacheDirectory }),
+			createCacheFiles(),
+		);
+
+		expect(compiledNames()).toEqual(['uses-partial.scss']);
+		expect(data[0].contents.toString()).toContain('color: green');
+	});
+
+	it('recompiles entries when the options change', async () => {
+		await writeFileToStream(sass({ cacheDirectory }), createCacheFiles());
+		const data = await writeFileToStream(
+			sass({ cacheDirectory, style: 'compressed' }),
+			createCacheFiles(),
+		);
+
+		expect(compiledNames()).toEqual([
+			'uses-partial.scss',
+			'standalone.scss',
+		]);
+		expect(data[1].contents.toString()).toBe('b{color:blue}');
+	});
+
+	it('restores source maps and warnings from the cache', async () => {
+		jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+		const first = await writeFileToStream(
+			sass({ cacheDirectory }),
+			createMappedFile(),
+		);
+		const second = await writeFileToStream(
+			sass({ cacheDirectory }),
+			createMappedFile(),
+		);
+
+		expect(compiledNames()).toEqual([]);
+		expect(second.sourceMap).toEqual(first.sourceMap);
+		expect(second.sassWarnings).toEqual([
+			expect.objectContaining({ type: 'warning', message: 'Cached' }),
+		]);
+	});
+
+	it('treats a corrupt cache entry as a miss', async () => {
+		await writeFileToStream(sass({ cacheDirectory }), createCacheFiles());
+		for (const entry of fs.readdirSync(cacheDirectory)) {
+			fs.writeFileSync(path.join(cacheDirectory, entry), '{');
+		}
+
+		await writeFileToStream(sass({ cacheDirectory }), createCacheFiles());
+		expect(compiledNames()).toHaveLength(2);
+	});
+
+	it('does not cache entries loaded through custom importers', async () => {
+		const options = {
+			cacheDirectory,
+			importers: [
+				{
+					canonicalize: (url) => new URL(`virtual:${url}`),
+					load: () => ({ contents: 'a { b: c; }', syntax: 'scss' }),
+				},
+			],
+		};
+
+		await writeFileToStream(sass(options), createVirtualFile());
+		await writeFileToStream(sass(options), createVirtualFile());
+
+		expect(compiledNames()).toEqual(['virtual.scss']);
+	});
+
+	it('does not reuse results compiled with functions', async () => {
+		await writeFileToStream(
+			sass({ cacheDirectory, functions: createBrandFunctions('red') }),
+			createBrandFile(),
+		);
+		const data = await writeFileToStream(
+			sass({ cacheDirectory, functions: createBrandFunctions('blue') }),
+			createBrandFile(),
+		);
+
+		expect(data.contents.toString()).toContain('color: blue');
+		expect(fs.existsSync(cacheDirectory)).toBe(false);
+	});
+
+	it('reuses results compiled with functions by their cache key', async () => {
+		await compileBrand('red');
+		const blue = await compileBrand('blue');
+		const red = await compileBrand('red');
+
+		expect(compiledNames()).toEqual([]);
+		expect(fs.readdirSync(cacheDirectory)).toHaveLength(2);
+		expect(blue.contents.toString()).toContain('color: blue');
+		expect(red.contents.toString()).toContain('color: red');
+		expect(() => sass({ cacheKey: 1 })).toThrow(
+			'Option "cacheKey" must be a string or a function.',
+		);
+	});
+});
+
+describe('concurrent compile', () => {
+	let inFlight;
+	let maxInFlight;
+
+	// Compiles each file after the delay given in its contents, failing
+	// files whose contents start with "fail".
+	const mockDelayedCompiler = () => {
+		inFlight = 0;
+		maxInFlight = 0;
+		jest.spyOn(sassEmbedded, 'initAsyncCompiler').mockResolvedValue({
+			compileStringAsync: jest.fn(async (source) => {
+				inFlight++;
+				maxInFlight = Math.max(maxInFlight, inFlight);
+				await new Promise((resolve) =>
+					setTimeout(resolve, Number.parseInt(source.slice(-2), 10)),
+				);
+				inFlight--;
+				if (source.startsWith('fail')) {
+					throw new Error(`Failed ${source}`);
+				}
+				return { css: `/* ${source} */`, loadedUrls: [] };
+			}),
+			dispose: jest.fn(),
+		});
+	};
+
+	beforeEach(() => {
+		mockDelayedCompiler();
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it('compiles one file at a time by default', async () => {
+		await writeFileToStream(sass(), createDelayedFiles([30, 10, 20]));
+		expect(maxInFlight).toBe(1);
+	});
+
+	it('rejects a concurrency that is not a positive integer', () => {
+		for (const concurrency of [0, -1, 1.5, '4', Number.NaN]) {
+			expect(() => sass({ concurrency })).toThrow(
+				'Option "concurrency" must be a positive integer.',
+			);
+		}
+	});
+
+	it('compiles up to the given number of files at once in input order', async () => {
+		const data = await writeFileToStream(
+			sass({ concurrency: 2 }),
+			createDelayedFiles([40, 10, 30, 10, 20]),
+		);
+
+		expect(maxInFlight).toBe(2);
+		expect(data.map((file) => path.basename(file.path))).toEqual([
+			'file-0.css',
+			'file-1.css',
+			'file-2.css',
+			'file-3.css',
+			'file-4.css',
+		]);
+		expect(data[2].contents.toString()).toBe('/* file 30 */');
+	});
+
+	it('ignores the concurrency option in sync mode', async () => {
+		const compileString = jest.fn(() => ({ css: '', loadedUrls: [] }));
+		jest.spyOn(sassEmbedded, 'initCompiler').mockReturnValue({
+			compileString,
+			dispose: jest.fn(),
+		});
+
+		const data = await writeFileToStream(
+			sass.sync({ concurrency: 4 }),
+			createDelayedFiles([10, 10]),
+		);
+		expect(compileString).toHaveBeenCalledTimes(2);
+		expect(data).toHaveLength(2);
+	});
+
+	it('fails the stream with the error of a file compiled in parallel', async () => {
+		const stream = sass({ concurrency: 3 });
+		const onData = jest.fn();
+		stream.on('data', onData);
+
+		await expect(
+			writeFileToStream(stream, createDelayedFiles([30, 10, 20], [1])),
+		).rejects.toThrow('Failed fail 10');
+		expect(onData).toHaveBeenCalledTimes(1);
+	});
+
+	it('fails the stream when the last pending file fails', async () => {
+		await expect(
+			writeFileToStream(
+				sass({ concurrency: 3 }),
+				createDelayedFiles([10, 20], [1]),
+			),
+		).rejects.toThrow('Failed fail 20');
+	});
+
+	it('keeps order around failed files with onError', async () => {
+		const data = await writeFileToStream(
+			sass({ concurrency: 3, onError: () => {} }),
+			createDelayedFiles([30, 10, 20, 10], [1]),
+		);
+
+		expect(data.map((file) => path.basename(file.path))).toEqual([
+			'file-0.css',
+			'file-2.css',
+			'file-3.css',
+		]);
+	});
+});
+
+describe('compiler pool', () => {
+	let pool;
+
+	beforeEach(() => {
+		pool = createCompilerPool();
+	});
+
+	afterEach(async () => {
+		jest.restoreAllMocks();
+		await pool.shutdown();
+	});
+
+	it("uses compilers that don't expose their process", async () => {
+		const compileStringAsync = jest.fn().mockResolvedValue({ css: 'a{}' });
+		jest.spyOn(sassEmbedded, 'initAsyncCompiler').mockResolvedValue({
+			compileStringAsync,
+			dispose: jest.fn(),
+		});
+
+		const data = await writeFileToStream(
+			sass({ pool, timeout: 1000 }),
+			createVinyl('variables.scss'),
+		);
+
+		expect(compileStringAsync).toHaveBeenCalledTimes(1);
+		expect(data.contents.toString()).toBe('a{}');
+		expect(pool.getReferenceCount()).toBe(0);
+	});
+
+	it('shares one compiler between streams', async () => {
+		const initSpy = jest.spyOn(sassEmbedded, 'initAsyncCompiler');
+
+		const first = await writeFileToStream(
+			sass({ pool }),
+			createVinyl('variables.scss'),
+		);
+		const second = await writeFileToStream(
+			sass({ pool }),
+			createVinyl('mixins.scss'),
+		);
+
+		expect(initSpy).toHaveBeenCalledTimes(1);
+		expect(path.basename(first.path)).toBe('variables.css');
+		expect(path.basename(second.path)).toBe('mixins.css');
+		expect(pool.getReferenceCount()).toBe(0);
+	});
+
+	it('counts references of open streams', async () => {
+		const compiler = await pool.acquire();
+		expect(await pool.acquire()).toBe(compiler);
+		expect(pool.getReferenceCount()).toBe(2);
+		expect(pool.getReferenceCount({ sync: true })).toBe(0);
+
+		pool.release(compiler);
+		pool.release(compiler);
+		pool.release(compiler);
+		expect(pool.getReferenceCount()).toBe(0);
+		expect(await pool.acquire()).toBe(compiler);
+	});
+
+	it('shares a sync compiler', async () => {
+		const initSpy = jest.spyOn(sassEmbedded, 'initCompiler');
+
+		await writeFileToStream(
+			sass.sync({ pool }),
+			createVinyl('variables.scss'),
+		);
+		const data = await writeFileToStream(
+			sass.sync({ pool }),
+			createVinyl('indent.sass'),
+		);
+
+		expect(initSpy).toHaveBeenCalledTimes(1);
+		expect(data.contents.toString()).toContain('color: blue');
+	});
+
+	it('uses the shared pool when set to true', async () => {
+		const stream = sass({ pool: true });
+		await writeFileToStream(stream, createVinyl('variables.scss'));
+
+		expect(stream.isCompilerInitialized()).toBe(true);
+		expect(compilerPool.getReferenceCount()).toBe(0);
+		await compilerPool.shutdown();
+	});
+
+	it('disposes compilers on shutdown', async () => {
+		const compiler = await pool.acquire();
+		const disposeSpy = jest.spyOn(compiler, 'dispose');
+
+		await pool.shutdown();
+
+		expect(disposeSpy).toHaveBeenCalled();
+		expect(await pool.acquire()).not.toBe(compiler);
+	});
+
+	it('disposes idle compilers after a timeout', async () => {
+		pool = createCompilerPool({ idleTimeout: 10 });
+		const compiler = await pool.acquire();
+		const disposeSpy = jest.spyOn(compiler, 'dispose');
+
+		pool.release(compiler);
+		await new Promise((resolve) => setTimeout(resolve, 50));
+
+		expect(disposeSpy).toHaveBeenCalled();
+		expect(await pool.acquire()).not.toBe(compiler);
+	});
+
+	it('disposes idle compilers after five seconds by default', async () => {
+		pool = createCompilerPool();
+		const compiler = await pool.acquire();
+		const disposeSpy = jest.spyOn(compiler, 'dispose');
+
+		jest.useFakeTimers();
+		try {
+			pool.release(compiler);
+			jest.advanceTimersByTime(4999);
+			expect(disposeSpy).not.toHaveBeenCalled();
+			jest.advanceTimersByTime(1);
+		} finally {
+			jest.useRealTimers();
+		}
+		await new Promise((resolve) => setImmediate(resolve));
+
+		expect(disposeSpy).toHaveBeenCalled();
+	});
+
+	it('keeps idle compilers that are acquired again', async () => {
+		pool = createCompilerPool({ idleTimeout: 10 });
+		const compiler = await pool.acquire();
+
+		pool.release(compiler);
+		expect(await pool.acquire()).toBe(compiler);
+		await new Promise((resolve) => setTimeout(resolve, 50));
+
+		expect(await pool.acquire()).toBe(compiler);
+	});
+
+	it('retries after a compiler fails to start', async () => {
+		jest.spyOn(sassEmbedded, 'initAsyncCompiler').mockRejectedValueOnce(
+			new Error('Initialization error'),
+		);
+
+		await expect(
+			writeFileToStream(sass({ pool }), createVinyl('variables.scss')),
+		).rejects.toThrow('Initialization error');
+		expect(pool.getReferenceCount()).toBe(0);
+		await expect(
+			writeFileToStream(sass({ pool }), createVinyl('variables.scss')),
+		).resolves.toBeTruthy();
+	});
+
+	it('restarts a compiler whose process crashed', async () => {
+		const compiler = await pool.acquire();
+		const exited = new Promise((resolve) =>
+			compiler.process.once('exit', resolve),
+		);
+		compiler.process.kill();
+		await exited;
+
+		const data = await writeFileToStream(
+			sass({ pool }),
+			createVinyl('variables.scss'),
+		);
+
+		expect(data.contents.toString()).toContain('.content-navigation');
+		expect(await pool.acquire()).not.toBe(compiler);
+	});
+
+	it('restarts a compiler that crashes while a stream is open', async () => {
+		const stream = sass({ pool });
+		const results = [];
+		stream.on('data', (file) => results.push(file));
+		const ended = new Promise((resolve, reject) => {
+			stream.on('end', resolve);
+			stream.on('error', reject);
+		});
+
+		const firstData = new Promise((resolve) =>
+			stream.once('data', resolve),
+		);
+		stream.write(createVinyl('variables.scss'));
+		await firstData;
+
+		const compiler = await pool.acquire();
+		pool.release(compiler);
+		const exited = new Promise((resolve) =>
+			compiler.process.once('exit', resolve),
+		);
+		compiler.process.kill();
+		await exited;
+
+		stream.write(createVinyl('mixins.scss'));
+		stream.end();
+		await ended;
+
+		expect(results).toHaveLength(2);
+		expect(await pool.acquire()).not.toBe(compiler);
+	});
+});
+
+describe('streaming files', () => {
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it('compiles a streamed file into a stream', async () => {
+		const data = await writeFileToStream(
+			sass({ style: 'compressed' }),
+			createStreamingVinyl('variables.scss'),
+		);
+
+		expect(data.isStream()).toBe(true);
+		expect(path.basename(data.path)).toBe('variables.css');
+		const contents = await readContents(data);
+		expect(contents.trim()).toBe(
+			fs
+				.readFileSync(path.join(__dirname, 'expected', 'variables.css'))
+				.toString()
+				.trim(),
+		);
+	});
+
+	it('compiles a file streamed from disk in sync mode', async () => {
+		const file = createVinyl('indent.sass');
+		file.contents = fs.createReadStream(file.path);
+
+		const data = await writeFileToStream(
+			sass.sync({ style: 'compressed' }),
+			file,
+		);
+
+		expect(data.isStream()).toBe(true);
+		expect(await readContents(data)).toBe('body .div{color:blue}');
+	});
+
+	it('keeps buffered files as buffers', async () => {
+		const data = await writeFileToStream(
+			sass(),
+			createVinyl('variables.scss'),
+		);
+		expect(data.isBuffer()).toBe(true);
+	});
+
+	it('compiles an empty streamed file', async () => {
+		const data = await writeFileToStream(
+			sass(),
+			createStreamingVinyl('empty.scss', ' '),
+		);
+
+		expect(data.isStream()).toBe(true);
+		expect(path.basename(data.path)).toBe('empty.css');
+		expect(await readContents(data)).toBe('');
+	});
+
+	it('applies source maps to streamed files', async () => {
+		const file = createStreamingVinyl('inheritance.scss');
+		file.sourceMap = { version: 3, mappings: '', sources: [] };
+
+		const data = await writeFileToStream(sass(), file);
+
+		expect(data.isStream()).toBe(true);
+		expect(data.sourceMap.sources).toContain(
+			url.pathToFileURL(path.join(__dirname, 'scss', 'inheritance.scss'))
+				.href,
+		);
+	});
+
+	it('skips streamed partials', async () => {
+		const data = await writeFileToStream(sass(), [
+			createStreamingVinyl('_partial.scss'),
+		]);
+		expect(data).toEqual([]);
+	});
+
+	it('fails the stream on compile errors', async () => {
+		await expect(
+			writeFileToStream(sass(), createStreamingVinyl('error.scss')),
+		).rejects.toThrow('expected "{".');
+	});
+
+	it('streams the replacement file from onError', async () => {
+		const data = await writeFileToStream(
+			sass({
+				onError: (error, file) => {
+					file.contents = Buffer.from(`/* ${error.line} */`);
+					return file;
+				},
+			}),
+			createStreamingVinyl('error.scss'),
+		);
+
+		expect(data.isStream()).toBe(true);
+		expect(await readContents(data)).toBe('/* 2 */');
+	});
+});
+
+describe('normalizeOptions', () => {
+	let stderrSpy;
+
+	beforeEach(() => {
+		stderrSpy = jest
+			.spyOn(process.stderr, 'write')
+			.mockImplementation(() => true);
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it('passes modern and plugin options through', () => {
+		const functions = { 'double($n)': (arguments_) => arguments_[0] };
+		const options = {
+			style: 'compressed',
+			loadPaths: ['/a'],
+			functions,
+			quietDeps: true,
+			sync: true,
+			concurrency: 2,
+		};
+
+		expect(normalizeOptions(options)).toEqual(options);
+		expect(normalizeOptions()).toEqual({});
+		expect(stderrSpy).not.toHaveBeenCalled();
+	});
+
+	it('converts includePaths to loadPaths and warns once', () => {
+		expect(
+			normalizeOptions({ includePaths: ['/a', '/b'], loadPaths: ['/c'] }),
+		).toEqual({ loadPaths: ['/a', '/b', '/c'] });
+		expect(normalizeOptions({ includePaths: '/a' })).toEqual({
+			loadPaths: ['/a'],
+		});
+
+		expect(stderrSpy).toHaveBeenCalledTimes(1);
+		expect(stderrSpy.mock.calls[0][0]).toContain(
+			'Option "includePaths" is deprecated, use "loadPaths" instead.',
+		);
+	});
+
+	it('converts legacy source map options', () => {
+		expect(
+			normalizeOptions({ sourceMapContents: 0, sourceMapRoot: '/sass/' }),
+		).toEqual({ sourceMapIncludeSources: false, sourceRoot: '/sass/' });
+	});
+
+	it('converts outputStyle to style', () => {
+		expect(normalizeOptions({ outputStyle: 'compressed' })).toEqual({
+			style: 'compressed',
+		});
+		expect(normalizeOptions({ outputStyle: 'nested' })).toEqual({
+			style: 'expanded',
+		});
+		expect(normalizeOptions({ outputStyle: 'compact' })).toEqual({
+			style: 'compressed',
+		});
+
+		const output = stderrSpy.mock.calls.map(([message]) => message);
+		expect(output).toEqual([
+			expect.stringContaining('use "style" instead'),
+			expect.stringContaining(
+				'Output style "nested" is not supported by Dart Sass, using "expanded" instead.',
+			),
+			expect.stringContaining('Output style "compact"'),
+		]);
+	});
+
+	it('drops unsupported options with a warning', () => {
+		expect(
+			normalizeOptions({
+				precision: 5,
+				sourceComments: true,
+				indentedSyntax: true,
+				style: 'expanded',
+			}),
+		).toEqual({ style: 'expanded' });
+
+		const output = stderrSpy.mock.calls.map(([message]) => message);
+		expect(output).toEqual([
+			expect.stringContaining(
+				'Option "precision" is not supported and will be ignored. Dart Sass always uses 10 digits of precision.',
+			),
+			expect.stringContaining('Option "sourceComments"'),
+			expect.stringContaining('Option "indentedSyntax"'),
+		]);
+	});
+
+	it('drops legacy importer functions but keeps modern importers', () => {
+		const importer = { findFileUrl: () => null };
+
+		expect(normalizeOptions({ importer })).toEqual({ importer });
+		expect(normalizeOptions({ importer: () => null })).toEqual({});
+		expect(stderrSpy.mock.calls[0][0]).toContain(
+			'Legacy importer functions are not supported',
+		);
+	});
+
+	it('rejects unknown options with a suggestion', () => {
+		expect(() => normalizeOptions({ loadPath: ['/a'] })).toThrow(
+			'Unknown option "loadPath". Did you mean "loadPaths"?',
+		);
+		expect(() => normalizeOptions({ banana: true })).toThrow(
+			new PluginError('gulp-sass-embedded', 'Unknown option "banana".'),
+		);
+	});
+
+	it('normalizes the options passed to the plugin', async () => {
+		const data = await writeFileToStream(
+			sass({
+				outputStyle: 'compressed',
+				includePaths: [path.join(__dirname, 'scss', 'includes')],
+			}),
+			createVinyl('uses-include.scss', "@use 'cats'; a { b: c; }"),
+		);
+
+		expect(data.contents.toString()).toBe('body{background:pink}a{b:c}');
+		expect(() => sass({ outputstyle: 'compressed' })).toThrow(
+			'Did you mean "style"?',
+		);
+	});
+});
+
+describe('per-file options', () => {
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it('accepts a function returning options for each file', async () => {
+		const fileOptions = jest.fn((file) => ({
+			style: file.basename === 'mixins.scss' ? 'compressed' : 'expanded',
+		}));
+
+		const data = await writeFileToStream(sass(fileOptions), [
+			createVinyl('mixins.scss'),
+			createVinyl('indent.sass'),
+		]);
+
+		expect(fileOptions).toHaveBeenCalledWith(expect.any(Vinyl));
+		expect(data[0].contents.toString()).toContain('#data{float:left;');
+		expect(data[1].contents.toString()).toBe(
+			'body .div {\n  color: blue;\n}',
+		);
+	});
+
+	it('accepts a function in sync mode', async () => {
+		const data = await writeFileToStream(
+			sass.sync(() => ({ style: 'compressed' })),
+			createVinyl('indent.sass'),
+		);
+		expect(data.contents.toString()).toBe('body .div{color:blue}');
+	});
+
+	it('merges async file options over the static options', async () => {
+		const data = await writeFileToStream(
+			sass({
+				style: 'compressed',
+				loadPaths: [path.join(__dirname, 'scss', 'includes')],
+				functions: {
+					'brand()': () =>
+						new sassEmbedded.SassString('static', {
+							quotes: false,
+						}),
+					'size()': () => new sassEmbedded.SassNumber(1, 'px'),
+				},
+				fileOptions: async (file) => ({
+					functions: {
+						'brand()': () =>
+							new sassEmbedded.SassString(file.stem, {
+								quotes: false,
+							}),
+					},
+				}),
+			}),
+			[
+				createVinyl(
+					'dark.scss',
+					"@use 'cats'; a { b: brand(); c: size(); }",
+				),
+				createVinyl('light.scss', 'a { b: brand(); }'),
+			],
+		);
+
+		expect(data[0].contents.toString()).toBe(
+			'body{background:pink}a{b:dark;c:1px}',
+		);
+		expect(data[1].contents.toString()).toBe('a{b:light}');
+	});
+
+	it('searches load paths from the file options first', async () => {
+		const directory = fs.mkdtempSync(
+			path.join(os.tmpdir(), 'gulp-sass-themes-'),
+		);
+		for (const theme of ['base', 'dark']) {
+			fs.mkdirSync(path.join(directory, theme));
+			fs.writeFileSync(
+				path.join(directory, theme, '_theme.scss'),
+				`$name: ${theme};`,
+			);
+		}
+
+		try {
+			const data = await writeFileToStream(
+				sass({
+					style: 'compressed',
+					loadPaths: [path.join(directory, 'base')],
+					fileOptions: () => ({
+						loadPaths: [path.join(directory, 'dark')],
+					}),
+				}),
+				createVinyl(
+					'themed.scss',
+					"@use 'theme'; a { b: theme.$name; }",
+				),
+			);
+			expect(data.contents.toString()).toBe('a{b:dark}');
+		} finally {
+			fs.rmSync(directory, { recursive: true, force: true });
+		}
+	});
+
+	it('uses the static options when the callback returns nothing', async () => {
+		const data = await writeFileToStream(
+			sass({ style: 'compressed', fileOptions: () => {} }),
+			createVinyl('indent.sass'),
+		);
+		expect(data.contents.toString()).toBe('body .div{color:blue}');
+	});
+
+	it('rejects plugin options returned per file', async () => {
+		await expect(
+			writeFileToStream(
+				sass(() => ({ concurrency: 2 })),
+				createVinyl('indent.sass'),
+			),
+		).rejects.toThrow('Option "concurrency" can\'t be set per file.');
+	});
+
+	it('keys the compile cache by the options of each file', async () => {
+		const cacheDirectory = fs.mkdtempSync(
+			path.join(os.tmpdir(), 'gulp-sass-cache-'),
+		);
+		const compiledNames = spyOnCompiles();
+		let style = 'compressed';
+		const fileOptions = () => ({ style });
+
+		try {
+			await writeFileToStream(
+				sass({ cacheDirectory, fileOptions }),
+				createVinyl('indent.sass'),
+			);
+			style = 'expanded';
+			const data = await writeFileToStream(
+				sass({ cacheDirectory, fileOptions }),
+				createVinyl('indent.sass'),
+			);
+
+			expect(compiledNames()).toEqual(['indent.sass']);
+			expect(data.contents.toString()).toContain('\n');
+		} finally {
+			fs.rmSync(cacheDirectory, { recursive: true, force: true });
+		}
+	});
+});
+
+describe('compilation metadata', () => {
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it('attaches compilation metadata to the file', async () => {
+		const data = await writeFileToStream(
+			sass(),
+			createVinyl('inheritance.scss'),
+		);
+		const scssPath = path.join(__dirname, 'scss');
+
+		expect(data.sass).toEqual({
+			version: expect.stringMatching(/^\d+\.\d+\.\d+/),
+			syntax: 'scss',
+			duration: expect.any(Number),
+			cached: false,
+			loadedUrls: expect.arrayContaining([expect.any(URL)]),
+			loadedPaths: [
+				path.join(scssPath, 'inheritance.scss'),
+				path.join(scssPath, 'includes', '_cats.scss'),
+				path.join(scssPath, 'includes', '_dogs.sass'),
+			],
+			warnings: [],
+		});
+		expect(data.sass.duration).toBeGreaterThan(0);
+		expect(data.sass.version).toBe(sassEmbedded.info.split('\t')[1]);
+	});
+
+	it('reports the syntax of each file', async () => {
+		const data = await writeFileToStream(sass.sync(), [
+			createVinyl('indent.sass'),
+			createVinyl('css.css'),
+		]);
+		expect(data.map((file) => file.sass.syntax)).toEqual([
+			'indented',
+			'css',
+		]);
+	});
+
+	it('reports warnings in the metadata', async () => {
+		jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+		const data = await writeFileToStream(sass(), createWarningFile());
+
+		expect(data.sass.warnings).toHaveLength(3);
+		expect(data.sass.warnings).toBe(data.sassWarnings);
+	});
+
+	it('reports results passed through from the cache', async () => {
+		const graph = createDependencyGraph();
+		await writeFileToStream(
+			sass({ incremental: graph }),
+			createVinyl('inheritance.scss'),
+		);
+		const data = await writeFileToStream(
+			sass({ incremental: graph }),
+			createVinyl('inheritance.scss'),
+		);
+
+		expect(data.sass.cached).toBe(true);
+		expect(data.sass.loadedPaths).toHaveLength(3);
+	});
+
+	it('only lists file URLs as paths', async () => {
+		const data = await writeFileToStream(
+			sass({
+				importers: [
+					{
+						canonicalize: (url) => new URL(`virtual:${url}`),
+						load: () => ({
+							contents: 'a { b: c; }',
+							syntax: 'scss',
+						}),
+					},
+				],
+			}),
+			createVinyl('virtual.scss', "@use 'thing';"),
+		);
+
+		expect(data.sass.loadedUrls.map(({ href }) => href)).toContain(
+			'virtual:thing',
+		);
+		expect(data.sass.loadedPaths).toEqual([
+			path.join(__dirname, 'scss', 'virtual.scss'),
+		]);
+	});
+});
+
+describe('glob imports', () => {
+	const globbedPath = path.join(__dirname, 'scss', 'globbed');
+
+	it('expands glob patterns in @use rules', async () => {
+		const data = await writeFileToStream(
+			sass({ style: 'compressed', globImports: true }),
+			createVinyl('globbed.scss'),
+		);
+
+		const { actual, expected } = getCompiledAndExpected(data);
+		expect(actual).toBe(expected);
+		expect(data.sass.loadedPaths).toEqual([
+			path.join(__dirname, 'scss', 'globbed.scss'),
+			path.join(globbedPath, 'app.scss'),
+			path.join(globbedPath, 'foo', 'bar.scss'),
+		]);
+	});
+
+	it('expands glob patterns in @import rules', async () => {
+		const data = await writeFileToStream(
+			sass.sync({ style: 'compressed', globImports: true }),
+			createVinyl(
+				'globbed-import.scss',
+				"@import 'globbed/**/*.scss'; .after { a: b; }",
+			),
+		);
+
+		const { actual, expected } = getCompiledAndExpected(
+			data,
+			'globbed.css',
+		);
+		expect(actual).toBe(`${expected}.after{a:b}`);
+	});
+
+	it('resolves patterns against load paths', async () => {
+		const directory = fs.mkdtempSync(
+			path.join(os.tmpdir(), 'gulp-sass-glob-'),
+		);
+
+		try {
+			const data = await writeFileToStream(
+				sass({
+					style: 'compressed',
+					globImports: true,
+					loadPaths: [path.join(__dirname, 'scss')],
+				}),
+				new Vinyl({
+					base: directory,
+					path: path.join(directory, 'entry.scss'),
+					contents: Buffer.from("@use 'globbed/foo/*' as foo;"),
+				}),
+			);
+			expect(data.contents.toString()).toBe(
+				'h1,h2,h3,h4,h5{color:green;font-weight:800}',
+			);
+		} finally {
+			fs.rmSync(directory, { recursive: true, force: true });
+		}
+	});
+
+	it('includes matches that define members with the same name', async () => {
+		const directory = fs.mkdtempSync(
+			path.join(os.tmpdir(), 'gulp-sass-glob-'),
+		);
+		fs.mkdirSync(path.join(directory, 'components'));
+		fs.writeFileSync(
+			path.join(directory, 'components', '_button.scss'),
+			'$pad: 1px; .button { padding: $pad; }',
+		);
+		fs.writeFileSync(
+			path.join(directory, 'components', '_card.scss'),
+			'$pad: 2px; .card { padding: $pad; }',
+		);
+
+		try {
+			const data = await writeFileToStream(
+				sass({ style: 'compressed', globImports: true }),
+				new Vinyl({
+					base: directory,
+					path: path.join(directory, 'entry.scss'),
+					contents: Buffer.from(
+						"@use 'components/**/*' as components;",
+					),
+				}),
+			);
+			expect(data.contents.toString()).toBe(
+				'.button{padding:1px}.card{padding:2px}',
+			);
+		} finally {
+			fs.rmSync(directory, { recursive: true, force: true });
+		}
+	});
+
+	it('forwards the members of matches when set', async () => {
+		const directory = fs.mkdtempSync(
+			path.join(os.tmpdir(), 'gulp-sass-glob-'),
+		);
+		fs.mkdirSync(path.join(directory, 'tokens'));
+		fs.writeFileSync(
+			path.join(directory, 'tokens', '_colors.scss'),
+			'$primary: red;',
+		);
+		fs.writeFileSync(
+			path.join(directory, 'tokens', '_sizes.scss'),
+			'$gap: 4px;',
+		);
+		fs.writeFileSync(
+			path.join(directory, '_theme.scss'),
+			"@use 'tokens/*' as tokens; $color: tokens.$primary;",
+		);
+		const createEntry = (contents) =>
+			new Vinyl({
+				base: directory,
+				path: path.join(directory, 'entry.scss'),
+				contents: Buffer.from(contents),
+			});
+
+		try {
+			const [direct, nested] = await Promise.all([
+				writeFileToStream(
+					sass({
+						style: 'compressed',
+						globImports: { forward: true },
+					}),
+					createEntry("@use 'tokens/*' as t; a { margin: t.$gap; }"),
+				),
+				writeFileToStream(
+					sass.sync({
+						style: 'compressed',
+						globImports: { forward: true },
+					}),
+					createEntry("@use 'theme'; a { color: theme.$color; }"),
+				),
+			]);
+			expect(direct.contents.toString()).toBe('a{margin:4px}');
+			expect(nested.contents.toString()).toBe('a{color:red}');
+		} finally {
+			fs.rmSync(directory, { recursive: true, force: true });
+		}
+		expect(() => sass({ globImports: 'forward' })).toThrow(
+			'Option "globImports" must be a boolean or an object.',
+		);
+	});
+
+	it('recompiles incremental entries when a file matching a pattern is added', async () => {
+		const directory = fs.mkdtempSync(
+			path.join(os.tmpdir(), 'gulp-sass-glob-'),
+		);
+		fs.mkdirSync(path.join(directory, 'parts'));
+		fs.writeFileSync(
+			path.join(directory, 'parts', 'a.scss'),
+			'a { b: c; }',
+		);
+		const graph = createDependencyGraph();
+		const compileEntry = () =>
+			writeFileToStream(
+				sass({
+					style: 'compressed',
+					globImports: true,
+					incremental: graph,
+				}),
+				new Vinyl({
+					base: directory,
+					path: path.join(directory, 'entry.scss'),
+					contents: Buffer.from("@use 'parts/*' as parts;"),
+				}),
+			).then((file) => file.contents.toString());
+
+		try {
+			expect(await compileEntry()).toBe('a{b:c}');
+			fs.writeFileSync(
+				path.join(directory, 'parts', 'b.scss'),
+				'b { c: d; }',
+			);
+			expect(await compileEntry()).toBe('a{b:c}b{c:d}');
+		} finally {
+			fs.rmSync(directory, { recursive: true, force: true });
+		}
+	});
+
+	it('expands glob patterns in token modules', async () => {
+		const [data] = await writeFileToStream(
+			sass({
+				globImports: true,
+				tokens: { files: '_*.scss', formats: 'json' },
+			}),
+			[
+				createVinyl(
+					'_glob-tokens.scss',
+					"@use 'globbed/**/*' as globbed; $count: 1;",
+				),
+			],
+		);
+
+		expect(JSON.parse(data.contents.toString())).toEqual({ count: 1 });
+	});
+
+	it('skips the importing file', async () => {
+		const data = await writeFileToStream(
+			sass({ style: 'compressed', globImports: true }),
+			createVinyl('globbed/app.scss', "@use '**/*' as all; a { b: c; }"),
+		);
+
+		expect(data.contents.toString()).toBe(
+			'h1,h2,h3,h4,h5{color:green;font-weight:800}a{b:c}',
+		);
+	});
+
+	it('fails on patterns without matches', async () => {
+		await expect(
+			writeFileToStream(
+				sass({ globImports: true }),
+				createVinyl('missing.scss', "@use 'missing/**/*' as missing;"),
+			),
+		).rejects.toThrow("Can't find stylesheet to import.");
+	});
+
+	it('leaves loads without patterns to Sass', async () => {
+		const data = await writeFileToStream(
+			sass({ style: 'compressed', globImports: true }),
+			createVinyl('inheritance.scss'),
+		);
+
+		const { actual, expected } = getCompiledAndExpected(data);
+		expect(actual).toBe(expected);
+	});
+
+	it('is used through the importers option', () => {
+		const result = sassEmbedded.compileString(
+			"@use 'globbed/*' as globbed;",
+			{
+				url: url.pathToFileURL(
+					path.join(__dirname, 'scss', 'glob.scss'),
+				),
+				importers: [
+					createGlobImporter({
+						loadPaths: [path.join(__dirname, 'scss')],
+					}),
+				],
+				loadPaths: [path.join(__dirname, 'scss')],
+				style: 'compressed',
+			},
+		);
+
+		expect(result.css).toBe(
+			'p{border:1px solid red}small{font-size:72px}h1{font-size:8px}',
+		);
+	});
+});
+
+describe('stream imports', () => {
+	it('loads partials modified in the stream instead of their copies on disk', async () => {
+		const results = await writeFileToStream(
+			sass({ style: 'compressed', streamImports: true }),
+			[
+				createVinyl('_partial.scss', 'body { background: blue; }'),
+				createVinyl('entry.scss', "@use 'partial'; a { b: c; }"),
+			],
+		);
+
+		expect(results).toHaveLength(1);
+		expect(results[0].relative).toBe('entry.css');
+		expect(results[0].contents.toString()).toBe(
+			'body{background:blue}a{b:c}',
+		);
+	});
+
+	it('loads partials that pass through the stream after the entry', async () => {
+		const [data] = await writeFileToStream(
+			sass({ style: 'compressed', streamImports: true }),
+			[
+				createVinyl('entry.scss', "@use 'generated'; a { b: c; }"),
+				createVinyl('_generated.scss', 'p { color: red; }'),
+			],
+		);
+
+		expect(data.contents.toString()).toBe('p{color:red}a{b:c}');
+		expect(data.sass.loadedPaths).toEqual([
+			path.join(__dirname, 'scss', 'entry.scss'),
+			path.join(__dirname, 'scss', '_generated.scss'),
+		]);
+	});
+
+	it('resolves loads from stream files relative to their path', async () => {
+		const [data] = await writeFileToStream(
+			sass.sync({ style: 'compressed', streamImports: true }),
+			[
+				createVinyl('includes/_pets.scss', "@use 'cats';"),
+				createVinyl('entry.scss', "@use 'includes/pets';"),
+			],
+		);
+
+		expect(data.contents.toString()).toBe('body{background:pink}');
+		expect(data.sass.loadedPaths).toContain(
+			path.join(__dirname, 'scss', 'includes', '_cats.scss'),
+		);
+	});
+
+	it('loads partials streamed without buffering', async () => {
+		const [data] = await writeFileToStream(
+			sass({ style: 'compressed', streamImports: true }),
+			[
+				createStreamingVinyl('_partial.scss', 'p { color: red; }'),
+				createVinyl('entry.scss', "@use 'partial';"),
+			],
+		);
+
+		expect(data.contents.toString()).toBe('p{color:red}');
+	});
+
+	it('leaves files that are not in the stream to Sass', async () => {
+		const directory = fs.mkdtempSync(
+			path.join(os.tmpdir(), 'gulp-sass-stream-'),
+		);
+		fs.writeFileSync(
+			path.join(directory, '_lib.scss'),
+			'.module { a: b; }',
+		);
+		fs.writeFileSync(
+			path.join(directory, '_lib.import.scss'),
+			'.import-only { a: b; }',
+		);
+		fs.writeFileSync(path.join(directory, 'both.scss'), 'a { b: c; }');
+		fs.writeFileSync(path.join(directory, '_both.scss'), 'a { b: c; }');
+		const createEntry = (contents) =>
+			new Vinyl({
+				base: directory,
+				path: path.join(directory, 'entry.scss'),
+				contents: Buffer.from(contents),
+			});
+
+		try {
+			const [data] = await writeFileToStream(
+				sass({ style: 'compressed', streamImports: true }),
+				[createEntry("@import 'lib';")],
+			);
+			expect(data.contents.toString()).toBe('.import-only{a:b}');
+			await expect(
+				writeFileToStream(sass({ streamImports: true }), [
+					createEntry("@use 'both';"),
+				]),
+			).rejects.toThrow("It's not clear which file to import.");
+		} finally {
+			fs.rmSync(directory, { recursive: true, force: true });
+		}
+	});
+
+	it('does not reuse results that depend on stream files', async () => {
+		const graph = createDependencyGraph();
+		const compileWith = async (color) => {
+			const [data] = await writeFileToStream(
+				sass({
+					style: 'compressed',
+					incremental: graph,
+					streamImports: true,
+				}),
+				[
+					createVinyl('_generated.scss', `p { color: ${color}; }`),
+					createVinyl('entry.scss', "@use 'generated';"),
+				],
+			);
+			return data;
+		};
+
+		await compileWith('red');
+		const data = await compileWith('blue');
+
+		expect(data.sass.cached).toBe(false);
+		expect(data.contents.toString()).toBe('p{color:blue}');
+	});
+
+	it('is used through the importers option', () => {
+		const files = new Map([
+			[
+				path.join(__dirname, 'scss', 'theme', '_index.scss'),
+				Buffer.from('$color: teal;'),
+			],
+		]);
+		const result = sassEmbedded.compileString(
+			"@use 'theme'; a { color: theme.$color; }",
+			{
+				importers: [
+					createStreamImporter(files, {
+						loadPaths: [path.join(__dirname, 'scss')],
+					}),
+				],
+				style: 'compressed',
+			},
+		);
+
+		expect(result.css).toBe('a{color:teal}');
+	});
+});
+
+describe('entry filtering', () => {
+	it('passes partials through unchanged', async () => {
+		const results = await writeFileToStream(
+			sass({ style: 'compressed', partials: 'pass' }),
+			[createVinyl('_partial.scss'), createVinyl('mixins.scss')],
+		);
+
+		expect(results.map((file) => file.relative)).toEqual([
+			'_partial.scss',
+			'mixins.css',
+		]);
+		expect(results[0].contents.toString()).toBe(
+			fs.readFileSync(
+				path.join(__dirname, 'scss', '_partial.scss'),
+				'utf8',
+			),
+		);
+	});
+
+	it('compiles the files matching glob patterns', async () => {
+		const results = await writeFileToStream(
+			sass({
+				style: 'compressed',
+				entries: ['**/*.scss', '!includes/**'],
+			}),
+			[
+				createVinyl('_partial.scss'),
+				createVinyl('includes/_cats.scss'),
+				createVinyl('variables.scss'),
+			],
+		);
+
+		expect(results.map((file) => file.relative)).toEqual([
+			'_partial.css',
+			'variables.css',
+		]);
+		expect(results[0].contents.toString()).toBe('body{background:red}');
+	});
+
+	it('compiles the files matching a predicate', async () => {
+		const results = await writeFileToStream(
+			sass({
+				style: 'compressed',
+				entries: async (file) => file.stem !== 'variables',
+			}),
+			[createVinyl('_partial.scss'), createVinyl('variables.scss')],
+		);
+
+		expect(results.map((file) => file.relative)).toEqual(['_partial.css']);
+	});
+
+	it('rejects invalid options', () => {
+		expect(() => sass({ entries: [] })).toThrow(
+			'Option "entries" must be a function or glob patterns.',
+		);
+		expect(() => sass({ partials: 'compile' })).toThrow(
+			'Option "partials" must be "skip" or "pass".',
+		);
+	});
+});
+
+describe('output variants', () => {
+	const variants = [
+		{ style: 'expanded' },
+		{ suffix: '.min', style: 'compressed' },
+	];
+
+	it('compiles an entry into each variant', async () => {
+		const file = createVinyl('variables.scss');
+		file.sourceMap = { version: 3, mappings: '', sources: [] };
+
+		const results = await writeFileToStream(sass({ variants }), [file]);
+
+		expect(results.map((output) => output.relative)).toEqual([
+			'variables.css',
+			'variables.min.css',
+		]);
+		const { expected } = getCompiledAndExpected(
+			results[1],
+			'variables.css',
+		);
+		expect(results[1].contents.toString()).toBe(expected);
+		expect(results[0].contents.toString()).toContain('\n  ');
+		expect(path.basename(results[0].sourceMap.file)).toBe('variables.css');
+		expect(path.basename(results[1].sourceMap.file)).toBe(
+			'variables.min.css',
+		);
+		expect(results[1].sourceMap.mappings).not.toBe(
+			results[0].sourceMap.mappings,
+		);
+	});
+
+	it('reports warnings once per entry', async () => {
+		const stream = sass({ variants, logger: {} });
+		const onWarning = jest.fn();
+		stream.on('warning', onWarning);
+
+		const results = await writeFileToStream(stream, [createWarningFile()]);
+
+		expect(onWarning).toHaveBeenCalledTimes(3);
+		expect(results[1].sass.warnings).toHaveLength(3);
+	});
+
+	it('reuses the result of each variant', async () => {
+		const graph = createDependencyGraph();
+		const compileVariants = () =>
+			writeFileToStream(sass({ variants, incremental: graph }), [
+				createVinyl('inheritance.scss'),
+			]);
+
+		const first = await compileVariants();
+		const second = await compileVariants();
+
+		expect(second.map((output) => output.sass.cached)).toEqual([
+			true,
+			true,
+		]);
+		expect(second.map((output) => output.contents.toString())).toEqual(
+			first.map((output) => output.contents.toString()),
+		);
+	});
+
+	it('rejects invalid variants', () => {
+		expect(() => sass({ variants: [] })).toThrow(
+			'Option "variants" must be a non-empty array.',
+		);
+		expect(() => sass({ variants: [{}, { style: 'compressed' }] })).toThrow(
+			'Each variant must have a different suffix.',
+		);
+		expect(() => sass({ variants: [{ suffix: 1 }] })).toThrow(
+			'The suffix of a variant must be a string.',
+		);
+		expect(() => sass({ variants: [{ incremental: true }] })).toThrow(
+			`Option "incremental" can't be set per variant.`,
+		);
+	});
+});
+
+describe('source maps', () => {
+	it('embeds the sources by default', async () => {
+		const data = await writeFileToStream(
+			sass(),
+			createMappedVinyl('variables.scss'),
+		);
+
+		expect(data.sourceMap.sourcesContent).toHaveLength(1);
+	});
+
+	it('omits the sources when sourceMapIncludeSources is false', async () => {
+		const data = await writeFileToStream(
+			sass({ sourceMapIncludeSources: false }),
+			createMappedVinyl('variables.scss'),
+		);
+
+		expect(data.sourceMap.sourcesContent).toBeUndefined();
+	});
+
+	it('writes sources relative to the CSS file', async () => {
+		const data = await writeFileToStream(
+			sass({ sourceMapSources: 'relative' }),
+			createMappedVinyl(
+				'includes/entry.scss',
+				"@use 'cats'; a { b: c; }",
+			),
+		);
+
+		expect(data.sourceMap.sources.sort()).toEqual([
+			'_cats.scss',
+			'entry.scss',
+		]);
+		expect(data.sourceMap.sourceRoot).toBeFalsy();
+	});
+
+	it('writes sources relative to the base with a sourceRoot', async () => {
+		const data = await writeFileToStream(
+			sass({ sourceRoot: '/sass/' }),
+			createMappedVinyl(
+				'includes/entry.scss',
+				"@use 'cats'; a { b: c; }",
+			),
+		);
+
+		expect(data.sourceMap.sources.sort()).toEqual([
+			'includes/_cats.scss',
+			'includes/entry.scss',
+		]);
+		expect(data.sourceMap.sourceRoot).toBe('/sass/');
+	});
+
+	it('writes sources in node_modules as pkg: URLs', async () => {
+		const directory = fs.mkdtempSync(
+			path.join(os.tmpdir(), 'gulp-sass-maps-'),
+		);
+		const packagePath = path.join(
+			directory,
+			'node_modules',
+			'@acme',
+			'theme',
+		);
+		fs.mkdirSync(packagePath, { recursive: true });
+		fs.writeFileSync(
+			path.join(packagePath, '_index.scss'),
+			'a { color: red; }',
+		);
+
+		try {
+			const data = await writeFileToStream(
+				sass({
+					loadPaths: [path.join(directory, 'node_modules')],
+					sourceMapSources: 'relative',
+					sourceMapPackageUrls: true,
+				}),
+				createMappedVinyl(
+					'entry.scss',
+					"@use '@acme/theme'; a { b: c; }",
+				),
+			);
+
+			expect(data.sourceMap.sources.sort()).toEqual([
+				'entry.scss',
+				'pkg:@acme/theme/_index.scss',
+			]);
+		} finally {
+			fs.rmSync(directory, { recursive: true, force: true });
+		}
+	});
+
+	it('rejects unknown source modes', () => {
+		expect(() => sass({ sourceMapSources: 'inline' })).toThrow(
+			'Option "sourceMapSources" must be "absolute" or "relative".',
+		);
+	});
+});
+
+describe('rendering errors', () => {
+	let stderrSpy;
+
+	beforeEach(() => {
+		stderrSpy = jest
+			.spyOn(process.stderr, 'write')
+			.mockImplementation(() => true);
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it('replaces the CSS with a rule showing the error', async () => {
+		const data = await writeFileToStream(
+			sass({ renderErrors: true, alertColor: true }),
+			createVinyl('error.scss'),
+		);
+
+		const css = data.contents.toString();
+		expect(data.relative).toBe('error.css');
+		expect(css).toMatch(/^body::before {/);
+		expect(css).toContain(
+			`${path.join(__dirname, 'scss', 'error.scss')}:2:20`,
+		);
+		expect(css).toContain(String.raw`expected \"{\".`);
+		expect(css).not.toContain('\u001B');
+		expect(() =>
+			sassEmbedded.compileString(css, { syntax: 'css' }),
+		).not.toThrow();
+		expect(stderrSpy).toHaveBeenCalledTimes(1);
+		expect(stderrSpy.mock.calls[0][0]).toContain('expected "{".');
+	});
+
+	it('escapes characters that CSS strings cannot contain', async () => {
+		const data = await writeFileToStream(
+			sass({ renderErrors: true }),
+			createVinyl('error.scss', '@error \'Say "hi" — ✗\';'),
+		);
+
+		const css = data.contents.toString();
+		expect(css).toContain(String.raw`Error: 'Say \"hi\" \2014  \2717 '`);
+		expect(() =>
+			sassEmbedded.compileString(css, { syntax: 'css' }),
+		).not.toThrow();
+	});
+
+	it('renders the error into every variant', async () => {
+		const results = await writeFileToStream(
+			sass({
+				renderErrors: true,
+				variants: [{}, { suffix: '.min', style: 'compressed' }],
+			}),
+			[createVinyl('error.scss')],
+		);
+
+		expect(results.map((file) => file.relative)).toEqual([
+			'error.css',
+			'error.min.css',
+		]);
+		expect(results[1].contents.toString()).toContain('body::before');
+	});
+
+	it('reports failed token exports of partials without rendering them', async () => {
+		const onError = jest.fn();
+		const results = await writeFileToStream(
+			sass({
+				renderErrors: true,
+				onError,
+				tokens: { files: '_*.scss', formats: 'json' },
+			}),
+			[
+				createVinyl('_bad-tokens.scss', '$primary: ;'),
+				createVinyl('variables.scss'),
+			],
+		);
+
+		expect(results.map((file) => file.relative)).toEqual(['variables.css']);
+		expect(onError).toHaveBeenCalledTimes(1);
+		expect(onError.mock.calls[0][0]).toBeInstanceOf(PluginError);
+		expect(onError.mock.calls[0][1].relative).toBe('_bad-tokens.scss');
+	});
+
+	it('fails the stream when the tokens of a partial fail to export', async () => {
+		await expect(
+			writeFileToStream(
+				sass({
+					renderErrors: true,
+					tokens: { files: '_*.scss', formats: 'json' },
+				}),
+				createVinyl('_bad-tokens.scss', '$primary: ;'),
+			),
+		).rejects.toThrow('Expected expression.');
+	});
+});
+
+describe('additional data', () => {
+	it('prepends Sass to each entry', async () => {
+		const data = await writeFileToStream(
+			sass({ style: 'compressed', additionalData: '$color: red;' }),
+			createVinyl('entry.scss', 'a { color: $color; }'),
+		);
+
+		expect(data.contents.toString()).toBe('a{color:red}');
+	});
+
+	it('prepends and appends Sass from functions of the file', async () => {
+		const data = await writeFileToStream(
+			sass({
+				style: 'compressed',
+				additionalData: {
+					prepend: async (file) => `$name: ${file.stem};`,
+					append: () => 'b { c: d; }',
+				},
+			}),
+			createVinyl('entry.scss', 'a { content: "#{$name}"; }'),
+		);
+
+		expect(data.contents.toString()).toBe('a{content:"entry"}b{c:d}');
+	});
+
+	it('reports error lines of the original contents', async () => {
+		await expect(
+			writeFileToStream(
+				sass({ additionalData: '$a: 1;\n$b: 2;\n' }),
+				createVinyl('error.scss'),
+			),
+		).rejects.toMatchObject({ line: 2, column: 20 });
+	});
+
+	it('reports warning lines of the original contents', async () => {
+		const data = await writeFileToStream(
+			sass({ additionalData: '$a: 1;\n$b: 2;', logger: {} }),
+			createWarningFile(),
+		);
+
+		expect(data.sassWarnings[2]).toMatchObject({
+			type: 'deprecation',
+			line: 3,
+			column: 13,
+		});
+	});
+
+	it('maps the CSS to the original contents', async () => {
+		const plain = await writeFileToStream(
+			sass(),
+			createMappedVinyl('variables.scss'),
+		);
+		const injected = await writeFileToStream(
+			sass({ additionalData: '$a: 1px;\n$b: 2px;' }),
+			createMappedVinyl('variables.scss'),
+		);
+
+		expect(injected.sourceMap.mappings).toBe(plain.sourceMap.mappings);
+		expect(injected.sourceMap.sourcesContent).toEqual(
+			plain.sourceMap.sourcesContent,
+		);
+	});
+
+	it('leaves CSS from the injected Sass unmapped', async () => {
+		const data = await writeFileToStream(
+			sass({ additionalData: '.injected { b: c; }' }),
+			createMappedVinyl('entry.scss', 'a { b: c; }'),
+		);
+
+		// The injected rule's lines have no source.
+		expect(data.sourceMap.mappings.split(';').slice(0, 3)).toEqual([
+			'A',
+			'E',
+			'',
+		]);
+		expect(data.sourceMap.sourcesContent).toEqual(['a { b: c; }']);
+	});
+
+	it('recompiles entries when the injected Sass changes', async () => {
+		const graph = createDependencyGraph();
+		const compileWith = (color) =>
+			writeFileToStream(
+				sass({
+					style: 'compressed',
+					incremental: graph,
+					additionalData: `$color: ${color};`,
+				}),
+				createVinyl('entry.scss', 'a { color: $color; }'),
+			);
+
+		await compileWith('red');
+		const data = await compileWith('blue');
+
+		expect(data.sass.cached).toBe(false);
+		expect(data.contents.toString()).toBe('a{color:blue}');
+	});
+
+	it('leaves plain CSS entries as they are', async () => {
+		const data = await writeFileToStream(
+			sass({
+				style: 'compressed',
+				additionalData: "@use 'config' as *;",
+			}),
+			createVinyl('css.css'),
+		);
+
+		const { actual, expected } = getCompiledAndExpected(data);
+		expect(actual).toBe(expected);
+	});
+
+	it('injects indented Sass into indented entries', async () => {
+		const data = await writeFileToStream(
+			sass({
+				style: 'compressed',
+				additionalData: '.before\n  a: b',
+			}),
+			createVinyl('indent.sass'),
+		);
+
+		expect(data.contents.toString()).toBe(
+			'.before{a:b}body .div{color:blue}',
+		);
+		await expect(
+			writeFileToStream(
+				sass({ additionalData: '$gap: 4px;' }),
+				createVinyl('indent.sass'),
+			),
+		).rejects.toThrow(
+			'Option "additionalData" must give indented Sass, without semicolons, for indent.sass.',
+		);
+	});
+
+	it('rejects data that is not a string', async () => {
+		await expect(
+			writeFileToStream(
+				sass({ additionalData: () => 42 }),
+				createVinyl('variables.scss'),
+			),
+		).rejects.toThrow(
+			'Option "additionalData" must give Sass as a string.',
+		);
+	});
+});
+
+describe('modules', () => {
+	const environment = {
+		name: 'production',
+		debug: false,
+		gutter: '16px',
+		ratio: 1.5,
+		brand: '#ff0066',
+		accent: 'rgb(0, 128, 255)',
+		breakpoints: { sm: '576px', md: { min: '768px' } },
+		fonts: ['Inter', 'sans-serif'],
+		single: ['a'],
+		nothing: null,
+	};
+	const source = [
+		"@use 'sass:list';",
+		"@use 'sass:map';",
+		"@use 'sass:meta';",
+		"@use 'gulp:env';",
+		'a {',
+		'  name: env.$name;',
+		'  debug: env.$debug;',
+		'  gutter: env.$gutter * 2;',
+		'  ratio: env.$ratio;',
+		'  brand: meta.type-of(env.$brand) env.$brand;',
+		'  accent: meta.type-of(env.$accent);',
+		'  sm: map.get(env.$breakpoints, sm);',
+		'  md: map.get(env.$breakpoints, md, min);',
+		'  fonts: list.separator(env.$fonts) env.$fonts;',
+		'  single: list.length(env.$single);',
+		'  nothing: meta.type-of(env.$nothing);',
+		'}',
+	].join('\n');
+
+	it('exposes JavaScript values as Sass variables', async () => {
+		const data = await writeFileToStream(
+			sass({ style: 'compressed', modules: { env: environment } }),
+			createVinyl('entry.scss', source),
+		);
+
+		expect(data.contents.toString()).toBe(
+			'a{name:production;debug:false;gutter:32px;ratio:1.5;brand:color #f06;accent:color;sm:576px;md:768px;fonts:comma Inter,sans-serif;single:1;nothing:null}',
+		);
+		expect(data.sass.loadedUrls.map(String)).toContain('gulp:env');
+	});
+
+	it('leaves keywords unquoted and quotes strings that need it', async () => {
+		const data = await writeFileToStream(
+			sass({
+				style: 'compressed',
+				modules: {
+					theme: {
+						weight: 'bold',
+						color: 'red',
+						family: 'Helvetica Neue',
+						flag: 'true',
+					},
+				},
+			}),
+			createVinyl(
+				'entry.scss',
+				[
+					"@use 'sass:meta';",
+					"@use 'gulp:theme';",
+					'a {',
+					'  font-weight: theme.$weight;',
+					'  color: meta.type-of(theme.$color) theme.$color;',
+					'  font-family: theme.$family;',
+					'  flag: meta.type-of(theme.$flag);',
+					'}',
+				].join('\n'),
+			),
+		);
+
+		expect(data.contents.toString()).toBe(
+			'a{font-weight:bold;color:color red;font-family:"Helvetica Neue";flag:string}',
+		);
+	});
+
+	it('fails on modules that are not defined', async () => {
+		await expect(
+			writeFileToStream(
+				sass({ modules: { env: environment } }),
+				createVinyl('entry.scss', "@use 'gulp:flags';"),
+			),
+		).rejects.toThrow("Can't find stylesheet to import.");
+	});
+
+	it('caches results with the values of the modules', async () => {
+		const cacheDirectory = fs.mkdtempSync(
+			path.join(os.tmpdir(), 'gulp-sass-modules-'),
+		);
+		const compileWith = (name) =>
+			writeFileToStream(
+				sass({
+					style: 'compressed',
+					cacheDirectory,
+					modules: { env: { name } },
+				}),
+				createVinyl(
+					'entry.scss',
+					"@use 'gulp:env'; a { b: env.$name; }",
+				),
+			);
+
+		try {
+			await compileWith('production');
+			const cached = await compileWith('production');
+			const changed = await compileWith('staging');
+
+			expect(cached.sass.cached).toBe(true);
+			expect(changed.sass.cached).toBe(false);
+			expect(changed.contents.toString()).toBe('a{b:staging}');
+		} finally {
+			fs.rmSync(cacheDirectory, { recursive: true, force: true });
+		}
+	});
+
+	it('rejects values that are not valid Sass', () => {
+		expect(() => sass({ modules: { env: { 'my var': 1 } } })).toThrow(
+			'"my var" in module "env" is not a valid Sass variable name.',
+		);
+		expect(() => sass({ modules: { env: { size: Number.NaN } } })).toThrow(
+			"Can't convert NaN to a Sass value.",
+		);
+		expect(() => sass({ modules: { env: 'production' } })).toThrow(
+			'Module "env" must be an object of variables.',
+		);
+	});
+
+	it('is used through the importers option', () => {
+		const result = sassEmbedded.compileString(
+			"@use 'gulp:flags'; a { b: flags.$enabled; }",
+			{
+				importers: [createModuleImporter({ flags: { enabled: true } })],
+				style: 'compressed',
+			},
+		);
+
+		expect(result.css).toBe('a{b:true}');
+	});
+});
+
+describe('data imports', () => {
+	const dataPath = path.join(__dirname, 'scss', 'data');
+
+	it('loads JSON files as modules', async () => {
+		const data = await writeFileToStream(
+			sass({ style: 'compressed', dataImports: true }),
+			createVinyl(
+				'entry.scss',
+				[
+					"@use 'sass:list';",
+					"@use 'sass:map';",
+					"@use 'data/tokens.json';",
+					'a {',
+					'  color: map.get(tokens.$color, primary);',
+					'  margin: list.nth(tokens.$spacing, 2) * tokens.$scale;',
+					'  font-family: tokens.$font-family;',
+					'}',
+				].join('\n'),
+			),
+		);
+
+		expect(data.contents.toString()).toBe(
+			'a{color:#06f;margin:10px;font-family:Inter}',
+		);
+		expect(data.sass.loadedPaths).toContain(
+			path.join(dataPath, 'tokens.json'),
+		);
+	});
+
+	it('loads YAML files through the load paths', async () => {
+		const data = await writeFileToStream(
+			sass({
+				style: 'compressed',
+				dataImports: true,
+				loadPaths: [dataPath],
+			}),
+			createVinyl(
+				'entry.scss',
+				[
+					"@use 'sass:map';",
+					"@use 'theme.yaml';",
+					'a {',
+					'  background: theme.$background;',
+					'  border-radius: theme.$radius;',
+					'  shadows: map.get(theme.$features, shadows);',
+					'}',
+				].join('\n'),
+			),
+		);
+
+		expect(data.contents.toString()).toBe(
+			'a{background:#111;border-radius:4px;shadows:true}',
+		);
+	});
+
+	it('fails on files that cannot be parsed', async () => {
+		const directory = fs.mkdtempSync(
+			path.join(os.tmpdir(), 'gulp-sass-data-'),
+		);
+		fs.writeFileSync(path.join(directory, 'broken.json'), '{ "a": ');
+
+		try {
+			await expect(
+				writeFileToStream(
+					sass({ dataImports: true, loadPaths: [directory] }),
+					createVinyl('entry.scss', "@use 'broken.json';"),
+				),
+			).rejects.toThrow('JSON');
+		} finally {
+			fs.rmSync(directory, { recursive: true, force: true });
+		}
+	});
+
+	it('leaves other loads to Sass', async () => {
+		const data = await writeFileToStream(
+			sass({ style: 'compressed', dataImports: true }),
+			createVinyl('inheritance.scss'),
+		);
+
+		const { actual, expected } = getCompiledAndExpected(data);
+		expect(actual).toBe(expected);
+	});
+
+	it('is used through the importers option', () => {
+		const result = sassEmbedded.compileString(
+			"@use 'theme.yaml'; a { b: theme.$name; }",
+			{
+				importers: [createDataImporter({ loadPaths: [dataPath] })],
+				style: 'compressed',
+			},
+		);
+
+		expect(result.css).toBe('a{b:dark}');
+	});
+});
+
+describe('rewriting URLs', () => {
+	const svgPath = path.join(
+		__dirname,
+		'scss',
+		'includes',
+		'images',
+		'dot.svg',
+	);
+
+	it('rewrites URLs relative to the CSS file', async () => {
+		const data = await writeFileToStream(
+			sass({ rewriteUrls: true }),
+			createVinyl('entry.scss', "@use 'includes/icons';"),
+		);
+
+		const css = data.contents.toString();
+		expect(css).toContain('background: url(includes/images/dot.svg);');
+		expect(css).toContain(
+			'background: url("includes/images/dot.svg?v=2");',
+		);
+		expect(css).toContain(
+			'background: url(missing.png), url(/absolute.png), url(data:image/gif;base64,R0lGOD==);',
+		);
+		expect(data.sourceMap).toBeUndefined();
+	});
+
+	it('inlines assets under the size limit', async () => {
+		const svg = fs.readFileSync(svgPath);
+		const inlined = await writeFileToStream(
+			sass({
+				style: 'compressed',
+				rewriteUrls: { inlineLimit: svg.length + 1 },
+			}),
+			createVinyl('entry.scss', "@use 'includes/icons';"),
+		);
+		const linked = await writeFileToStream(
+			sass({
+				style: 'compressed',
+				rewriteUrls: { inlineLimit: svg.length },
+			}),
+			createVinyl('entry.scss', "@use 'includes/icons';"),
+		);
+
+		expect(inlined.contents.toString()).toContain(
+			`.icon{background:url(data:image/svg+xml;base64,${svg.toString('base64')})}`,
+		);
+		expect(linked.contents.toString()).toContain(
+			'.icon{background:url(includes/images/dot.svg)}',
+		);
+	});
+
+	it('shifts the source map past rewritten URLs', async () => {
+		const source = "@use 'includes/icons'; .after { color: red; }";
+		const plain = await writeFileToStream(
+			sass({ style: 'compressed' }),
+			createMappedVinyl('entry.scss', source),
+		);
+		const rewritten = await writeFileToStream(
+			sass({ style: 'compressed', rewriteUrls: true }),
+			createMappedVinyl('entry.scss', source),
+		);
+
+		const columns = getGeneratedColumns(rewritten.sourceMap.mappings);
+		const css = rewritten.contents.toString();
+		expect(columns).toHaveLength(
+			getGeneratedColumns(plain.sourceMap.mappings).length,
+		);
+		expect(columns.at(-1)).toBe(css.indexOf('.after'));
+	});
+});
+
+describe('post-processing', () => {
+	it('passes the CSS, source map and file to functions', async () => {
+		const postProcess = jest.fn((css) => css.replace('red', 'blue'));
+		const data = await writeFileToStream(
+			sass({ style: 'compressed', postProcess }),
+			createMappedVinyl('entry.scss', '.a { color: red; }'),
+		);
+
+		const [css, sourceMap, file] = postProcess.mock.calls[0];
+		expect(css).toBe('.a{color:red}');
+		expect(sourceMap.sources).toEqual([
+			url.pathToFileURL(path.join(__dirname, 'scss', 'entry.scss')).href,
+		]);
+		expect(file).toBe(data);
+		expect(data.contents.toString()).toBe('.a{color:blue}');
+	});
+
+	it('runs steps in order, keeping the CSS when nothing is returned', async () => {
+		const data = await writeFileToStream(
+			sass({
+				style: 'compressed',
+				postProcess: [
+					(css) => `${css}.b{}`,
+					() => {},
+					async (css) => ({ css: css.replace('.b', '.c') }),
+				],
+			}),
+			createVinyl('entry.scss', '.a { color: red; }'),
+		);
+
+		expect(data.contents.toString()).toBe('.a{color:red}.c{}');
+	});
+
+	it('runs PostCSS plugins, merging their source maps', async () => {
+		const source = '.a { color: red; }\n.after { color: blue; }';
+		const plain = await writeFileToStream(
+			sass({ style: 'compressed' }),
+			createMappedVinyl('entry.scss', source),
+		);
+		const processed = await writeFileToStream(
+			sass({
+				style: 'compressed',
+				postProcess: [
+					prependRule,
+					{
+						postcssPlugin: 'uppercase-colors',
+						Declaration(declaration) {
+							declaration.value = declaration.value.toUpperCase();
+						},
+					},
+				],
+			}),
+			createMappedVinyl('entry.scss', source),
+		);
+
+		const css = processed.contents.toString();
+		expect(css).toBe('.first{}.a{color:RED}.after{color:BLUE}');
+		expect(processed.sourceMap.sources).toEqual(plain.sourceMap.sources);
+		expect(getGeneratedColumns(processed.sourceMap.mappings)).toContain(
+			css.indexOf('.after'),
+		);
+		// The added rule isn't mapped to any stylesheet.
+		expect(processed.sourceMap.mappings).toMatch(/^A,/);
+	});
+
+	it('rejects invalid steps', () => {
+		expect(() => sass({ postProcess: ['autoprefixer'] })).toThrow(
+			PluginError,
+		);
+	});
+
+	it('reports errors thrown while post-processing', async () => {
+		const onError = jest.fn();
+		await writeFileToStream(
+			sass({
+				postProcess() {
+					throw new Error('Post-processing failed');
+				},
+				onError,
+			}),
+			createVinyl('entry.scss', '.a { color: red; }'),
+		);
+
+		expect(onError).toHaveBeenCalledWith(
+			expect.objectContaining({ message: 'Post-processing failed' }),
+			expect.anything(),
+		);
+	});
+});
+
+describe('programmatic API', () => {
+	const scssPath = path.join(__dirname, 'scss');
+
+	it('compiles files from their paths', async () => {
+		const { files, warnings, errors } = await compileFiles(
+			[
+				path.join(scssPath, 'variables.scss'),
+				path.join(scssPath, '_partial.scss'),
+				path.join(scssPath, 'indent.sass'),
+			],
+			{ style: 'compressed' },
+		);
+
+		expect(files.map((file) => file.basename)).toEqual([
+			'variables.css',
+			'indent.css',
+		]);
+		expect(files[0].contents.toString()).toBe(
+			fs
+				.readFileSync(
+					path.join(__dirname, 'expected', 'variables.css'),
+					'utf8',
+				)
+				.trim(),
+		);
+		expect(files[1].sass.syntax).toBe('indented');
+		expect(warnings).toEqual([]);
+		expect(errors).toEqual([]);
+	});
+
+	it('compiles a Vinyl-like file with a source map', async () => {
+		const { files } = await compileFile({
+			cwd: scssPath,
+			path: 'inline.scss',
+			contents: '.a { color: red; }',
+			sourceMap: true,
+		});
+
+		expect(files).toHaveLength(1);
+		expect(files[0].path).toBe(path.join(scssPath, 'inline.css'));
+		expect(files[0].contents.toString()).toBe('.a {\n  color: red;\n}');
+		expect(files[0].sourceMap.sources).toEqual([
+			url.pathToFileURL(path.join(scssPath, 'inline.scss')).href,
+		]);
+	});
+
+	it('leaves Vinyl files unchanged', async () => {
+		const file = createVinyl('variables.scss');
+		const { files } = await compileFile(file);
+
+		expect(files[0].extname).toBe('.css');
+		expect(file.extname).toBe('.scss');
+	});
+
+	it('collects warnings and errors', async () => {
+		const { files, warnings, errors } = await compileFiles([
+			createWarningFile(),
+			createVinyl('error.scss'),
+		]);
+
+		expect(files.map((file) => file.basename)).toEqual(['warnings.css']);
+		expect(warnings.map(({ type }) => type)).toEqual([
+			'warning',
+			'debug',
+			'deprecation',
+		]);
+		expect(errors).toHaveLength(1);
+		expect(errors[0]).toBeInstanceOf(PluginError);
+		expect(errors[0].message).toContain('expected "{".');
+	});
+
+	it('calls the onError handler for failing files', async () => {
+		const onError = jest.fn();
+		const { errors } = await compileFile(createVinyl('error.scss'), {
+			onError,
+		});
+
+		expect(onError).toHaveBeenCalledWith(errors[0], expect.any(Vinyl));
+	});
+});
+
+describe('build summary', () => {
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it('emits a summary of the build when the stream closes', async () => {
+		jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+		const stream = sass({ summary: { print: false }, onError: logError });
+		const summaryPromise = new Promise((resolve) => {
+			stream.once('summary', resolve);
+		});
+
+		const data = await writeFileToStream(stream, [
+			createVinyl('variables.scss'),
+			createVinyl('_partial.scss'),
+			createVinyl('empty.scss'),
+			createWarningFile(),
+			createVinyl('error.scss'),
+		]);
+		const summary = await summaryPromise;
+
+		expect(summary.files).toEqual({
+			compiled: 2,
+			cached: 0,
+			empty: 1,
+			failed: 1,
+			outputs: 3,
+			partials: 1,
+			passed: 0,
+		});
+		expect(summary.warnings).toBe(2);
+		expect(summary.outputBytes).toBe(
+			data.reduce((total, file) => total + file.contents.length, 0),
+		);
+		expect(summary.duration).toBeGreaterThan(0);
+		expect(
+			summary.entries.map(({ path, output, status }) => ({
+				path,
+				output,
+				status,
+			})),
+		).toEqual([
+			{
+				path: 'variables.scss',
+				output: 'variables.css',
+				status: 'compiled',
+			},
+			{ path: 'empty.scss', output: 'empty.css', status: 'empty' },
+			{
+				path: 'warnings.scss',
+				output: 'warnings.css',
+				status: 'compiled',
+			},
+			{ path: 'error.scss', output: undefined, status: 'failed' },
+		]);
+		expect(summary.entries[0].duration).toBe(data[0].sass.duration);
+		expect(summary.entries[2].warnings).toBe(2);
+	});
+
+	it('prints the entries from the slowest', async () => {
+		const stderrSpy = jest
+			.spyOn(process.stderr, 'write')
+			.mockImplementation(() => true);
+
+		const { summary } = await compileFiles(
+			[createVinyl('variables.scss'), createVinyl('inheritance.scss')],
+			{ summary: true },
+		);
+
+		const printed = stderrSpy.mock.calls.at(-1)[0];
+		expect(printed).toMatch(
+			/^gulp-sass-embedded: 2 compiled, 0 partials skipped, 0 empty, 0 failed, 0 warnings, \d+ B in \d+ ms\n/,
+		);
+		const [slowest] = [...summary.entries].sort(
+			(a, b) => b.duration - a.duration,
+		);
+		expect(printed.split('\n')[1]).toContain(slowest.output);
+	});
+
+	it('counts entries apart from the outputs of their variants', async () => {
+		const stderrSpy = jest
+			.spyOn(process.stderr, 'write')
+			.mockImplementation(() => true);
+
+		const { summary } = await compileFiles(
+			[createVinyl('variables.scss'), createVinyl('mixins.scss')],
+			{
+				summary: true,
+				variants: [{}, { suffix: '.min', style: 'compressed' }],
+			},
+		);
+
+		expect(summary.files).toMatchObject({ compiled: 2, outputs: 4 });
+		expect(summary.entries).toHaveLength(4);
+		expect(stderrSpy.mock.calls.at(-1)[0]).toMatch(
+			/^gulp-sass-embedded: 2 compiled, 4 outputs, 0 partials skipped,/,
+		);
+	});
+
+	it('counts partials passed through apart from those skipped', async () => {
+		const stderrSpy = jest
+			.spyOn(process.stderr, 'write')
+			.mockImplementation(() => true);
+
+		const { summary } = await compileFiles(
+			[createVinyl('_partial.scss'), createVinyl('variables.scss')],
+			{ summary: true, partials: 'pass' },
+		);
+
+		expect(summary.files).toMatchObject({
+			compiled: 1,
+			partials: 0,
+			passed: 1,
+		});
+		expect(stderrSpy.mock.calls.at(-1)[0]).toMatch(
+			/^gulp-sass-embedded: 1 compiled, 0 partials skipped, 1 partials passed through, 0 empty,/,
+		);
+	});
+
+	it('writes the summary as JSON', async () => {
+		const directory = fs.mkdtempSync(
+			path.join(os.tmpdir(), 'gulp-sass-summary-'),
+		);
+		const jsonPath = path.join(directory, 'reports', 'sass.json');
+
+		try {
+			const { summary } = await compileFiles(
+				[createVinyl('variables.scss')],
+				{ summary: { print: false, json: jsonPath } },
+			);
+
+			expect(JSON.parse(fs.readFileSync(jsonPath, 'utf8'))).toEqual(
+				summary,
+			);
+		} finally {
+			fs.rmSync(directory, { recursive: true, force: true });
+		}
+	});
+});
+
+describe('compile timeout and crash recovery', () => {
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it('fails a file that takes longer than the timeout', async () => {
+		const { files, errors } = await compileFiles(
+			[
+				createVinyl('runaway.scss', '@while true { a { b: c; } }'),
+				createVinyl('variables.scss'),
+			],
+			{ timeout: 500 },
+		);
+
+		expect(errors).toHaveLength(1);
+		expect(errors[0]).toBeInstanceOf(PluginError);
+		expect(errors[0].message).toContain(
+			'Compiling runaway.scss timed out after 500 ms.',
+		);
+		expect(files.map((file) => file.basename)).toEqual(['variables.css']);
+	});
+
+	it('fails a file whose custom function never returns', async () => {
+		const { errors } = await compileFile(
+			createVinyl('hung.scss', 'a { b: hang(); }'),
+			{
+				timeout: 500,
+				functions: { 'hang()': () => new Promise(() => {}) },
+			},
+		);
+
+		expect(errors[0].message).toContain('timed out after 500 ms.');
+	});
+
+	it('compiles a file again when the compiler crashes', async () => {
+		const { initAsyncCompiler } = jest.requireActual('sass-embedded');
+		const compilers = [];
+		jest.spyOn(sassEmbedded, 'initAsyncCompiler').mockImplementation(
+			async () => {
+				const compiler = await initAsyncCompiler();
+				compilers.push(compiler);
+				return compiler;
+			},
+		);
+		let crashed = false;
+
+		const data = await writeFileToStream(
+			sass({
+				timeout: 10_000,
+				functions: {
+					'crash()'() {
+						if (crashed) {
+							return sassEmbedded.sassNull;
+						}
+						// Stop the process while the file is compiling.
+						crashed = true;
+						compilers[0].process.kill();
+						return new Promise(() => {});
+					},
+				},
+			}),
+			[
+				createVinyl('crash.scss', 'a { b: crash(); c: d; }'),
+				createVinyl('variables.scss'),
+			],
+		);
+
+		expect(data.map((file) => file.basename)).toEqual([
+			'crash.css',
+			'variables.css',
+		]);
+		expect(data[0].contents.toString()).toContain('c: d;');
+		expect(compilers).toHaveLength(2);
+	});
+
+	it('compiles a file again when a compile fails from a crash', async () => {
+		const compileString = jest
+			.fn()
+			.mockImplementationOnce(() => {
+				throw new Error(
+					'Compiler caused error: Embedded compiler exited unexpectedly.',
+				);
+			})
+			.mockReturnValue({ css: 'a{}', loadedUrls: [] });
+		const initSpy = jest
+			.spyOn(sassEmbedded, 'initCompiler')
+			.mockReturnValue({ compileString, dispose: jest.fn() });
+
+		const data = await writeFileToStream(
+			sass.sync(),
+			createVinyl('variables.scss'),
+		);
+
+		expect(initSpy).toHaveBeenCalledTimes(2);
+		expect(compileString).toHaveBeenCalledTimes(2);
+		expect(data.contents.toString()).toBe('a{}');
+	});
+});
+
+describe('design tokens', () => {
+	const expectedTokens = {
+		primary: '#3bbfce',
+		overlay: 'rgba(0, 0, 0, 0.5)',
+		breakpoints: { sm: '576px', md: '768px' },
+		scale: 1.5,
+		'font-stack': ['Helvetica Neue', 'sans-serif'],
+		shadow: '0 1px 2px rgba(0, 0, 0, 0.5)',
+		dark: true,
+		unset: null,
+		'gutter-width': 'calc(100% - var(--gutter))',
+		half: 'calc((100% - 2rem) / 2)',
+	};
+
+	it('exports the variables of a partial in each format', async () => {
+		const data = await writeFileToStream(
+			sass({ tokens: { files: '_tokens.scss' } }),
+			[createVinyl('_tokens.scss'), createVinyl('variables.scss')],
+		);
+
+		expect(data.map((file) => file.relative)).toEqual([
+			'tokens.json',
+			'tokens.js',
+			'tokens.d.ts',
+			'variables.css',
+		]);
+		expect(JSON.parse(data[0].contents.toString())).toEqual(expectedTokens);
+		expect(data[1].contents.toString()).toBe(
+			`export default ${JSON.stringify(expectedTokens, null, 2)};\n`,
+		);
+		const declaration = data[2].contents.toString();
+		expect(declaration).toMatch(/^declare const tokens: {\n/);
+		expect(declaration).toContain('  readonly "primary": "#3bbfce";\n');
+		expect(declaration).toContain(
+			'  readonly "breakpoints": {\n    readonly "sm": "576px";\n',
+		);
+		expect(declaration).toContain(
+			'  readonly "font-stack": readonly ["Helvetica Neue", "sans-serif"];\n',
+		);
+		expect(declaration).toMatch(/\nexport default tokens;\n$/);
+	});
+
+	it('exports the tokens of an entry next to its CSS', async () => {
+		const data = await writeFileToStream(
+			sass({
+				tokens: { files: ['theme.scss'], formats: ['json'] },
+				additionalData: '$gap: 4px !default;',
+			}),
+			[
+				createVinyl(
+					'theme.scss',
+					"@forward 'tokens';\n$radius: $gap * 2;\n.a { gap: $gap; }",
+				),
+			],
+		);
+
+		expect(data.map((file) => file.relative)).toEqual([
+			'theme.css',
+			'theme.json',
+		]);
+		expect(JSON.parse(data[1].contents.toString())).toEqual({
+			...expectedTokens,
+			gap: '4px',
+			radius: '8px',
+		});
+	});
+
+	it('leaves out functions and mixins', async () => {
+		const data = await writeFileToStream(
+			sass({ tokens: { files: '_*.scss', formats: 'json' } }),
+			[
+				createVinyl(
+					'_functions.scss',
+					[
+						"@use 'sass:meta';",
+						'@mixin mixin {}',
+						'$size: 4px;',
+						"$rgb: meta.get-function('rgb');",
+						'$mixins: (main: meta.get-mixin(mixin), size: 1px);',
+					].join('\n'),
+				),
+			],
+		);
+
+		expect(JSON.parse(data[0].contents.toString())).toEqual({
+			size: '4px',
+			mixins: { size: '1px' },
+		});
+	});
+
+	it('passes token modules through as partials', async () => {
+		const data = await writeFileToStream(
+			sass({
+				partials: 'pass',
+				tokens: { files: '_*.scss', formats: 'js' },
+			}),
+			[createVinyl('_tokens.scss')],
+		);
+
+		expect(data.map((file) => file.relative)).toEqual([
+			'_tokens.scss',
+			'tokens.js',
+		]);
+	});
+
+	it('rejects invalid options', () => {
+		expect(() => sass({ tokens: true })).toThrow(PluginError);
+		expect(() => sass({ tokens: { files: [42] } })).toThrow(
+			'Option "tokens.files" must be a function or glob patterns.',
+		);
+		expect(() =>
+			sass({ tokens: { files: '*.scss', formats: ['yaml'] } }),
+		).toThrow(PluginError);
+	});
+});